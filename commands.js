@@ -1,20 +1,75 @@
-/* globals exports, require */
+/* globals exports, require, process */
 
 // Modules
+const fs = require("fs");
 const Path = require("path");
+const readline = require("readline");
 const ShopifyAPI = require("./requestor_factories/api_requests");
 const Fs = require("./requestor_factories/fs_operations");
+const ThemeKeys = require("./theme_keys");
+const { unified_diff } = require("./diff");
+const Csv = require("./csv");
+const { create_sync_state } = require("./sync_state");
 const { log } = require("./log");
-const { run_sync } = require("./utils");
-const { create_data_object, data_objects_init } = require("./create_data_objects");
+const { run_sync, run_async } = require("./utils");
+const {
+    create_data_object,
+    data_objects_init,
+    resolve_environment
+} = require("./create_data_objects");
 
 let theme_path;
 
-exports.Deploy = function (env_vars) {
+const { non_string_formats } = ThemeKeys;
+
+//  The number of records Import sends requests for at a time.
+const import_batch_size = 10;
+
+//  Keys which a theme cannot function without, these are never deleted when pruning.
+const protected_keys = [
+    "layout/theme.liquid",
+    "config/settings_schema.json",
+    "config/settings_data.json"
+];
+
+function confirm(question, cb) {
+
+//  Ask the user a yes/no question on the command line.  Calls cb with true only
+//  if the answer is "y" or "yes".
+
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+    rl.question(question + " (y/N) ", function (answer) {
+        rl.close();
+        return cb(["y", "yes"].includes(answer.trim().toLowerCase()));
+    });
+}
+
+exports.Deploy = function (env_vars, options = {}, cb) {
 
 // @purpose:  Upload local theme files to the store's theme.
-// @param1 {array=} filenames - (optional) An array of theme file keys to upload,
-//  if this param is undefined, then all theme files will be uploaded.
+//  Only files whose content differs from the remote asset (according to the asset's
+//  checksum) are uploaded, unless options.full is true.
+// @param2 {object=} options - (optional)
+//  full {boolean} - Upload every local theme file.
+//  dry_run {boolean} - Upload nothing, instead print a unified diff between each
+//   remote asset and its local file, or a changed/unchanged marker for binary files.
+//  prune {boolean} - After uploading, delete the remote assets which have no local
+//   counterpart.  The user is asked to confirm the deletions unless options.force is true.
+//  force {boolean} - Prune without asking for confirmation.
+// @param3 {function=} cb - (optional) Called with data once the deploy has finished,
+//  or with null and the reason it failed.  Failures are thrown when it is not given.
+
+    env_vars = resolve_environment(env_vars);
+
+    const finish = function (data, reason) {
+        if (cb) {
+            return cb(data, reason);
+        }
+        if (data === null) throw reason;
+    };
 
     data_objects_init(env_vars)(function (data, reason) {
         if (data === null) throw reason;
@@ -24,8 +79,14 @@ exports.Deploy = function (env_vars) {
     theme_path = data.paths.theme;
 
     data.readWriteMap = new Map();
+    data.skipped = [];
+    data.deleted = [];
+    data.delete_failed = [];
+    data.failed_collisions = [];
 
     ShopifyAPI.init(env_vars);
+    Fs.init(data.paths.base);
+    const sync_state = create_sync_state(env_vars.theme_id, env_vars.local_data_path);
 
     // Build a map from local file paths to the server path/key.
     // This is needed, in part, because we allow a local directory structure
@@ -33,33 +94,655 @@ exports.Deploy = function (env_vars) {
     const buildMap = function (cb, data) {
         try {
             data.files.forEach(function (filename) {
-                const keyPath = filename.replace(theme_path + Path.sep, "");
-                const localKey = keyPath.replace(Path.sep, "/");
-                let key;
-                if (!localKey.includes("templates/customers")) {
-                    const arr = localKey.split("/");
-                    const newArr = [arr[0], arr[2] || arr[1]];
-                    key = newArr.join("/");
-                } else {
-                    key = localKey;
-                }
-                if (key !== "config.yml/") {
+                const key = ThemeKeys.get_key(theme_path, filename);
+                if (key !== undefined) {
                     data.readWriteMap.set(filename, key);
                 }
             });
-            console.log(data.readWriteMap);
+            data.local_keys = new Set(data.readWriteMap.values());
+            ThemeKeys.find_collisions(theme_path, data.files).forEach(function (filenames, key) {
+                log("Error", ThemeKeys.collision_message(theme_path, key, filenames));
+                filenames.forEach(function (filename) {
+                    data.readWriteMap.delete(filename);
+                });
+                data.failed_collisions.push(key);
+            });
+            return cb(data);
+        } catch (exception) {
+            return cb(null, exception);
+        }
+    };
+
+    // Remove the files whose checksum matches the remote asset's checksum from
+    // data.readWriteMap.  Remote assets without a checksum are always uploaded.
+    const removeUnchangedFiles = function (cb, data) {
+        try {
+            const remote_checksums = new Map();
+            data.assets.forEach(function (asset) {
+                remote_checksums.set(asset.key, asset.checksum);
+            });
+            data.readWriteMap.forEach(function (key, filename) {
+                const remote_checksum = remote_checksums.get(key);
+                if (remote_checksum && remote_checksum === data.checksums.get(filename)) {
+                    data.readWriteMap.delete(filename);
+                    data.skipped.push(key);
+                }
+            });
+            data.assets.forEach(function (asset) {
+                if (data.skipped.includes(asset.key)) {
+                    sync_state.record(asset);
+                }
+            });
             return cb(data);
         } catch (exception) {
             return cb(null, exception);
         }
     };
 
+    // Print the difference between each remote asset and its local file.
+    // Text files whose checksums differ have their remote value downloaded so it
+    // can be compared line by line.
+    const printDiffs = function (cb, data) {
+        try {
+            const remote_checksums = new Map();
+            data.assets.forEach(function (asset) {
+                remote_checksums.set(asset.key, asset.checksum);
+            });
+            const entries = Array.from(data.readWriteMap).sort(
+                (a, b) => (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0)
+            );
+            const counts = { changed: 0, added: 0, unchanged: 0 };
+            const diffs = new Map();
+
+            const requestors = entries.filter(function ([filename, key]) {
+                const is_binary = non_string_formats.includes(Path.parse(filename).ext);
+                const remote_checksum = remote_checksums.get(key);
+                return (
+                    !is_binary
+                    && remote_checksum !== data.checksums.get(filename)
+                    && remote_checksums.has(key)
+                );
+            }).map(function ([filename, key]) {
+                return function diff_requestor(cb) {
+                    ShopifyAPI.download_asset(key)(function (d, reason) {
+                        if (d === null) {
+                            diffs.set(key, "Could not download remote asset: " + reason);
+                            return cb();
+                        }
+                        fs.readFile(filename, "utf8", function (err, content) {
+                            if (err) return cb(null, err);
+                            diffs.set(key, unified_diff(
+                                d.asset.value || "",
+                                content,
+                                "remote/" + key,
+                                "local/" + Path.relative(theme_path, filename).split(Path.sep).join("/")
+                            ));
+                            return cb();
+                        });
+                    }, Object.create(null));
+                };
+            });
+
+            const print = function () {
+                entries.forEach(function ([filename, key]) {
+                    const is_binary = non_string_formats.includes(Path.parse(filename).ext);
+                    if (!remote_checksums.has(key)) {
+                        counts.added += 1;
+                        console.log(`[new] ${key}`);
+                    } else if (remote_checksums.get(key) === data.checksums.get(filename)) {
+                        counts.unchanged += 1;
+                        if (is_binary) {
+                            console.log(`[unchanged] ${key}`);
+                        }
+                    } else {
+                        counts.changed += 1;
+                        console.log(
+                            is_binary
+                            ? `[changed] ${key}`
+                            : diffs.get(key) || `[changed] ${key}`
+                        );
+                    }
+                });
+                log(
+                    "Dry Run",
+                    `complete (${counts.changed} changed, ${counts.added} new, ${counts.unchanged} unchanged)`
+                );
+                return cb(data);
+            };
+
+            if (requestors.length === 0) {
+                return print();
+            }
+            let failed = false;
+            return run_async(requestors, function (d, reason) {
+                if (failed) return;
+                if (d === null) {
+                    failed = true;
+                    return cb(null, reason);
+                }
+                return print();
+            }, data);
+        } catch (exception) {
+            return cb(null, exception);
+        }
+    };
+
+    // The remote keys which have no local counterpart, excluding protected keys
+    // and keys whose local path is ignored.
+    // Map each key to the local file (ignored or not) it would be uploaded from, so that
+    // a key is protected by the ignore rules which match that file, e.g. a file in a
+    // sub-directory of snippets.
+    const mapAllKeys = function (cb, data) {
+        try {
+            Fs.get_all_file_paths(theme_path, true)(function (d, reason) {
+                if (d === null) return cb(null, reason);
+                data.all_key_paths = ThemeKeys.map_keys_to_paths(theme_path, d.files);
+                return cb(data);
+            }, Object.create(null));
+        } catch (exception) {
+            return cb(null, exception);
+        }
+    };
+
+    // Keys which exist remotely but not locally.  Keys without a local file are
+    // checked against the ignore rules as if they were stored at their key's path.
+    const getStaleKeys = function (data) {
+        return data.assets.map(asset => asset.key).filter(
+            key => (
+                !data.local_keys.has(key)
+                && !protected_keys.includes(key)
+                && !Fs.is_ignored(
+                    data.all_key_paths.get(key) || Path.join(theme_path, ...key.split("/")),
+                    false
+                )
+            )
+        ).sort();
+    };
+
+    const printStaleKeys = function (cb, data) {
+        getStaleKeys(data).forEach(function (key) {
+            console.log(`[delete] ${key}`);
+        });
+        return cb(data);
+    };
+
+    const pruneRemoteAssets = function (cb, data) {
+        try {
+            const stale_keys = getStaleKeys(data);
+            if (stale_keys.length === 0) {
+                return cb(data);
+            }
+            const deleteStaleKeys = function () {
+                const requestors = stale_keys.map(function (key) {
+                    return function prune_asset_requestor(cb) {
+                        ShopifyAPI.delete_file(key)(function (d) {
+                            if (d === null) {
+                                data.delete_failed.push(key);
+                            } else {
+                                data.deleted.push(key);
+                                log("Deleted", key);
+                            }
+                            return cb();
+                        }, Object.create(null));
+                    };
+                });
+                return run_async(requestors, function () {
+                    return cb(data);
+                }, data);
+            };
+
+            if (options.force) {
+                return deleteStaleKeys();
+            }
+            stale_keys.forEach(function (key) {
+                console.log(`[delete] ${key}`);
+            });
+            if (!process.stdin.isTTY) {
+                log("Prune", "skipped, confirmation requires a terminal (use the force option)");
+                return cb(data);
+            }
+            confirm(`Delete these ${stale_keys.length} remote assets?`, function (confirmed) {
+                if (!confirmed) {
+                    log("Prune", "cancelled");
+                    return cb(data);
+                }
+                return deleteStaleKeys();
+            });
+        } catch (exception) {
+            return cb(null, exception);
+        }
+    };
+
+    if (options.dry_run) {
+        return run_sync([
+            Fs.get_all_file_paths(theme_path),
+            buildMap,
+            ShopifyAPI.download_asset_list("key,checksum,updated_at"),
+            Fs.get_checksums(),
+            printDiffs,
+            ...(options.prune ? [mapAllKeys, printStaleKeys] : [])
+        ], finish, data);
+    }
+
     run_sync([
         Fs.get_all_file_paths(theme_path),
         buildMap,
-        ShopifyAPI.upload_files()
+        ...(
+            (options.full && !options.prune)
+            ? []
+            : [ShopifyAPI.download_asset_list("key,checksum,updated_at")]
+        ),
+        ...(
+            options.full
+            ? []
+            : [Fs.get_checksums(), removeUnchangedFiles]
+        ),
+        ShopifyAPI.upload_files(),
+        ...(options.prune ? [mapAllKeys, pruneRemoteAssets] : [])
     ], function (data, reason) {
+        if (data === null) return finish(null, reason);
+        data.uploaded_assets.forEach(sync_state.record);
+        data.deleted.forEach(sync_state.forget);
+        data.failed.push(...data.failed_collisions);
+        data.failed.forEach(function (key) {
+            log("Upload Failed", key);
+        });
+        data.delete_failed.forEach(function (key) {
+            log("Delete Failed", key);
+        });
+        log(
+            "Deploy",
+            `complete (${data.uploaded.length} uploaded, ${data.skipped.length} skipped, ${data.failed.length} failed`
+            + (options.prune ? `, ${data.deleted.length} deleted)` : ")")
+        );
+        return finish(data);
+    }, data);
+};
+
+
+exports.Pull = function (env_vars) {
+
+// @purpose:  Download every asset of the store's theme into the local theme directory.
+//  Files which already exist locally within a sub-directory of snippets, sections,
+//  or templates are written back to that sub-directory rather than duplicated.
+//  Files in snippets/inline-scripts are skipped, since the uploaded versions are minified,
+//  as are files matching the project's ignore rules.
+
+    env_vars = resolve_environment(env_vars);
+
+    data_objects_init(env_vars)(function (data, reason) {
         if (data === null) throw reason;
-        log("Deploy", "complete");
+    });
+
+    const data = create_data_object("auth", "paths");
+    theme_path = data.paths.theme;
+
+    const counts = { written: 0, skipped: 0, failed: 0 };
+
+    ShopifyAPI.init(env_vars);
+    Fs.init(data.paths.base);
+    const sync_state = create_sync_state(env_vars.theme_id, env_vars.local_data_path);
+
+    if (!fs.existsSync(theme_path)) {
+        fs.mkdirSync(theme_path, { recursive: true });
+    }
+
+    const pullAsset = function (key, write_path) {
+        return function pull_asset_requestor(cb) {
+            if (
+                write_path.includes(Path.join("snippets", "inline-scripts"))
+                || Fs.is_ignored(write_path, false)
+            ) {
+                counts.skipped += 1;
+                log("Skipped", key);
+                return cb();
+            }
+            run_sync([
+                ShopifyAPI.download_asset(key),
+                function write_asset_requestor(cb, data) {
+                    const asset = data.asset;
+                    return (
+                        asset.attachment !== undefined
+                        ? Fs.write_file(write_path, Buffer.from(asset.attachment, "base64"))(cb, data)
+                        : Fs.write_file(write_path, asset.value || "")(cb, data)
+                    );
+                }
+            ], function (data, reason) {
+                if (data === null) {
+                    counts.failed += 1;
+                    log("Error", key + " " + reason);
+                } else {
+                    counts.written += 1;
+                    sync_state.record(data.asset);
+                    log("Downloaded", key);
+                }
+                return cb();
+            }, Object.create(null));
+        };
+    };
+
+    const downloadAssets = function (cb, data) {
+        try {
+            const key_map = ThemeKeys.map_keys_to_paths(theme_path, data.files);
+            const collisions = ThemeKeys.find_collisions(theme_path, data.files);
+            const requestors = data.assets.filter(function (asset) {
+                if (collisions.has(asset.key)) {
+                    counts.failed += 1;
+                    log("Error", ThemeKeys.collision_message(
+                        theme_path,
+                        asset.key,
+                        collisions.get(asset.key)
+                    ));
+                    return false;
+                }
+                return true;
+            }).map(function (asset) {
+                const write_path = (
+                    key_map.get(asset.key)
+                    || Path.join(theme_path, ...asset.key.split("/"))
+                );
+                return pullAsset(asset.key, write_path);
+            });
+            if (requestors.length === 0) {
+                return cb(data);
+            }
+            return run_async(requestors, function () {
+                return cb(data);
+            }, data);
+        } catch (exception) {
+            return cb(null, exception);
+        }
+    };
+
+    run_sync([
+        Fs.get_all_file_paths(theme_path),
+        ShopifyAPI.download_asset_list("key"),
+        downloadAssets
+    ], function (data, reason) {
+        if (data === null) throw reason;
+        log(
+            "Pull",
+            `complete (${counts.written} written, ${counts.skipped} skipped, ${counts.failed} failed)`
+        );
     }, data);
 };
+
+
+exports.Themes = function (env_vars, action, options = {}) {
+
+// @purpose:  Manage the store's themes, logging the result.
+// @param2 {string} action - One of:
+//  "list" - List every theme, along with its id and role.
+//  "create" - Create an unpublished theme named options.name, or a development theme
+//   if options.role is "development".
+//  "duplicate" - Create a development theme named options.name (or one with the role
+//   options.role, e.g. "unpublished"), and copy every asset of the theme whose id is
+//   options.theme_id (defaults to env_vars.theme_id) into it.
+//  "publish" - Publish the theme whose id is options.theme_id.
+//  "delete" - Delete the theme whose id is options.theme_id.
+
+    env_vars = resolve_environment(env_vars);
+
+    ShopifyAPI.init(env_vars);
+
+    const describe = function (theme) {
+        return `${theme.name} (id: ${theme.id}, role: ${theme.role})`;
+    };
+
+    const done = function (data, reason) {
+        if (data === null) throw reason;
+        if (action === "list") {
+            data.themes.forEach(function (theme) {
+                console.log(describe(theme));
+            });
+        } else if (action === "duplicate") {
+            log(
+                "Duplicated",
+                `${describe(data.theme)} (${data.copied.length} copied, ${data.failed.length} failed)`
+            );
+        } else if (action === "delete") {
+            log("Deleted", "theme " + options.theme_id);
+        } else {
+            log(action === "create" ? "Created" : "Published", describe(data.theme));
+        }
+    };
+
+    const requestors = {
+        list: () => [ShopifyAPI.download_themes()],
+        create: () => [ShopifyAPI.create_theme(options.name, undefined, options.role)],
+        duplicate: () => [
+            ShopifyAPI.create_theme(options.name, undefined, options.role || "development"),
+            ShopifyAPI.copy_theme_assets(options.theme_id || env_vars.theme_id)
+        ],
+        publish: () => [ShopifyAPI.publish_theme(options.theme_id)],
+        delete: () => [ShopifyAPI.delete_theme(options.theme_id)]
+    };
+
+    if (requestors[action] === undefined) {
+        throw new Error("Themes: unknown action " + action);
+    }
+
+    run_sync(requestors[action](), done, Object.create(null));
+};
+
+
+exports.Export = function (env_vars, type, file_path, options = {}) {
+
+// @purpose:  Write every product (one row per variant) or customer (one row per
+//  address) to a CSV file.
+// @param2 {string} type - "product" or "customer".
+// @param3 {string} file_path - The CSV file to write, relative to the working directory.
+// @param4 {object} options - (optional)
+//  columns {array} - The columns to write, e.g. ["id", "title", "variant.sku"].  Defaults
+//   to the type's default_columns, see csv.js.
+//  query {object} - Additional query parameters, e.g. { status: "active" }.
+
+    env_vars = resolve_environment(env_vars);
+
+    ShopifyAPI.init(env_vars);
+
+    const table = Csv.get_table(type);
+    const columns = options.columns || table.default_columns;
+    const fields = new Set();
+    columns.forEach(function (column) {
+        fields.add(column.startsWith(table.prefix + ".") ? table.children : column);
+    });
+
+    const output = fs.createWriteStream(Path.resolve(file_path));
+    let record_count = 0;
+    let row_count = 0;
+    let is_finished = false;
+
+    const done = function (data, reason) {
+        if (is_finished) {
+            return;
+        }
+        is_finished = true;
+        if (data === null) {
+            output.destroy();
+            return log("Error", "Export failed, " + reason);
+        }
+        log("Export", `complete (${record_count} ${type}s, ${row_count} rows written to ${file_path})`);
+    };
+
+//  e.g. the directory does not exist, or the file cannot be written.
+
+    output.on("error", function (err) {
+        return done(null, `could not write ${file_path}, ${err}`);
+    });
+    output.write(Csv.format_csv_row(columns));
+
+    ShopifyAPI.list_resources(type, {
+        fields: Array.from(fields).join(","),
+        query: options.query,
+        on_page: function (records) {
+            if (is_finished) {
+                return;
+            }
+            records.forEach(function (record) {
+                Csv.flatten_record(type, record, columns).forEach(function (row) {
+                    output.write(Csv.format_csv_row(row));
+                    row_count += 1;
+                });
+                record_count += 1;
+            });
+        }
+    })(function (data, reason) {
+        if (data === null || is_finished) {
+            return done(null, reason);
+        }
+        output.end(function (err) {
+            if (err) {
+                return done(null, `could not write ${file_path}, ${err}`);
+            }
+            return done(data);
+        });
+    }, Object.create(null));
+};
+
+
+exports.Import = function (env_vars, type, file_path, options = {}, cb) {
+
+// @purpose:  Create or update products or customers from a CSV file in the format
+//  written by Export, printing the result of each row.  Records with an id are
+//  updated, along with each of their variants (or addresses) by its own id, and
+//  those without are created.  Empty cells are left unchanged.
+// @param2 {string} type - "product" or "customer".
+// @param3 {string} file_path - The CSV file to read, relative to the working directory.
+// @param4 {object} options - (optional)
+//  validate_only {boolean} - Check every row, printing any errors, without uploading anything.
+// @param5 {function=} cb - (optional) Called with the number of records in each outcome,
+//  e.g. { created: 2, updated: 5, failed: 0, invalid: 1, valid: 0 }, or with null and the
+//  reason the file could not be imported.  Failures are thrown when it is not given.
+
+    env_vars = resolve_environment(env_vars);
+
+    ShopifyAPI.init(env_vars);
+
+    const finish = function (data, reason) {
+        if (cb) {
+            return cb(data, reason);
+        }
+        if (data === null) throw reason;
+    };
+
+    const table = Csv.get_table(type);
+    const counts = { created: 0, updated: 0, failed: 0, invalid: 0, valid: 0 };
+
+    const describe_rows = function (group) {
+        return (
+            group.rows.length > 1
+            ? `Rows ${group.rows[0]}-${group.rows[group.rows.length - 1]}`
+            : `Row ${group.rows[0]}`
+        );
+    };
+
+    // Sets data.groups to the records which are valid, printing the errors of the others.
+    const validateRows = function (cb, data) {
+        try {
+            const groups = Csv.group_rows(type, Csv.parse_csv(data.file_content));
+            data.groups = groups.filter(function (group) {
+                if (group.errors.length > 0) {
+                    counts.invalid += 1;
+                    console.log(`${describe_rows(group)}: invalid, ${group.errors.join("; ")}`);
+                    return false;
+                }
+                if (options.validate_only) {
+                    counts.valid += 1;
+                    console.log(`${describe_rows(group)}: valid`);
+                }
+                return true;
+            });
+            return cb(data);
+        } catch (exception) {
+            return cb(null, exception);
+        }
+    };
+
+//  Sending an existing record's children with it would replace all of them, so each
+//  child is updated through its own endpoint instead, see csv.js.
+
+    const update_requestors = function (record) {
+        const fields = Object.assign({}, record);
+        const children = fields[table.children] || [];
+        delete fields[table.children];
+        const child_options = (
+            table.is_child_nested
+            ? { parent: { type: type, id: record.id } }
+            : {}
+        );
+        return [
+            ...(Object.keys(fields).length > 1 ? [ShopifyAPI.update_resource(type, fields)] : []),
+            ...children.map(child => ShopifyAPI.update_resource(table.child_type, child, child_options))
+        ];
+    };
+
+//  A failed row does not stop the import, so each requestor always succeeds.  Records
+//  are imported import_batch_size at a time, rather than a request being queued for
+//  every record in the file at once.
+
+    const importRecords = function (cb, data) {
+        try {
+            if (options.validate_only) {
+                return cb(data);
+            }
+            const requestors = data.groups.map(function (group) {
+                const is_update = group.record.id !== undefined;
+                return function import_record_requestor(cb) {
+                    run_sync(
+                        (
+                            is_update
+                            ? update_requestors(group.record)
+                            : [ShopifyAPI.create_resource(type, group.record)]
+                        ),
+                        function (data, reason) {
+                            if (data === null) {
+                                counts.failed += 1;
+                                console.log(`${describe_rows(group)}: failed, ${reason}`);
+                            } else {
+                                counts[is_update ? "updated" : "created"] += 1;
+                                console.log(
+                                    `${describe_rows(group)}: ${is_update ? "updated" : "created"} ${type} `
+                                    + (is_update ? group.record.id : data.resource.id)
+                                );
+                            }
+                            return cb(true);
+                        },
+                        Object.create(null)
+                    );
+                };
+            });
+            const batches = [];
+            let index = 0;
+            while (index < requestors.length) {
+                const batch = requestors.slice(index, index + import_batch_size);
+                batches.push(function import_batch_requestor(cb, data) {
+                    return run_async(batch, function () {
+                        return cb(data);
+                    }, data);
+                });
+                index += import_batch_size;
+            }
+            return run_sync(batches, cb, data);
+        } catch (exception) {
+            return cb(null, exception);
+        }
+    };
+
+    run_sync([
+        Fs.read_file(Path.resolve(file_path)),
+        validateRows,
+        importRecords
+    ], function (data, reason) {
+        if (data === null) {
+            return finish(null, `Import of ${file_path} failed, ${reason}`);
+        }
+        log(
+            options.validate_only ? "Validated" : "Import",
+            options.validate_only
+            ? `${file_path} (${counts.valid} valid, ${counts.invalid} invalid)`
+            : `complete (${counts.created} created, ${counts.updated} updated, ${counts.failed} failed, ${counts.invalid} invalid)`
+        );
+        return finish(counts);
+    }, Object.create(null));
+};
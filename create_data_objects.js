@@ -1,7 +1,26 @@
-/* globals exports, require */
+/* globals exports, require, process */
 
+const fs = require("fs");
 const Path = require("path");
 
+//  The name of the optional project config file in the project root, which defines
+//  named environments, e.g.
+//  {
+//      "default_environment": "staging",
+//      "environments": {
+//          "staging": {
+//              "store_url": "staging-store.myshopify.com",
+//              "theme_id": "1234567891",
+//              "auth": "${STAGING_AUTH}",
+//              "port": 8080
+//          },
+//          "production": { ..., "read_only": true }
+//      }
+//  }
+//  Values of the form ${NAME} are replaced with process.env.NAME, so credentials can
+//  remain in the .env file.
+const config_file_name = "shopify_dev_utils.json";
+
 //  These objects are filled with data when data_object_init method is called.
 const paths = Object.create(null);
 const auth = Object.create(null);
@@ -50,6 +69,45 @@ const data_objects_init = function (env_vars) {
     };
 };
 
+const resolve_environment = function (env_vars) {
+
+//  If the project has a config file, merge the selected environment's variables
+//  (store_url, theme_id, auth, store_preview_url, port, read_only, etc.) into a
+//  copy of env_vars.  The environment is env_vars.environment, or the config file's
+//  default_environment.  Returns env_vars unchanged if neither is set.
+
+    const config_path = Path.join(env_vars.base_path || "", config_file_name);
+    if (!env_vars.base_path || !fs.existsSync(config_path)) {
+        if (env_vars.environment) {
+            throw new Error(`Environment "${env_vars.environment}" requested, but ${config_path} does not exist.`);
+        }
+        return env_vars;
+    }
+
+    const config = JSON.parse(fs.readFileSync(config_path, "utf8"));
+    const name = env_vars.environment || config.default_environment;
+    if (!name) {
+        return env_vars;
+    }
+    const environment = (config.environments || {})[name];
+    if (environment === undefined) {
+        throw new Error(`Environment "${name}" is not defined in ${config_path}.`);
+    }
+
+    const resolved = Object.assign(Object.create(null), env_vars);
+    Object.keys(environment).forEach(function (key) {
+        const value = environment[key];
+        resolved[key] = (
+            typeof value === "string"
+            ? value.replace(/\$\{(\w+)\}/g, (match, var_name) => process.env[var_name] || "")
+            : value
+        );
+    });
+    resolved.environment = name;
+    return resolved;
+};
+
 
 exports.create_data_object = create_data_object;
 exports.data_objects_init = data_objects_init;
+exports.resolve_environment = resolve_environment;
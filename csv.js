@@ -0,0 +1,355 @@
+/* globals exports */
+"use strict";
+
+//  CSV Public Methods:
+//
+//      1.  parse_csv()
+//      2.  format_csv_row()
+//      3.  get_table()
+//      4.  flatten_record()
+//      5.  group_rows()
+//
+//  Records are flattened into one row per child, e.g. one row per variant of a
+//  product, or per address of a customer.  The record's own fields are named as is,
+//  e.g. "title", and the child's fields are prefixed, e.g. "variant.sku".  When a
+//  CSV is imported, consecutive rows which share an id (or handle, or email) are
+//  grouped back into a single record, as is any row whose record columns are empty.
+
+const tables = {
+    product: {
+        children: "variants",
+        prefix: "variant",
+        child_type: "variant",
+        is_child_nested: false,
+        match_column: "handle",
+        default_columns: [
+            "id", "handle", "title", "vendor", "product_type", "tags", "status",
+            "variant.id", "variant.sku", "variant.option1", "variant.option2",
+            "variant.option3", "variant.price", "variant.compare_at_price",
+            "variant.barcode", "variant.inventory_quantity"
+        ]
+    },
+    customer: {
+        children: "addresses",
+        prefix: "address",
+        child_type: "address",
+        is_child_nested: true,
+        match_column: "email",
+        default_columns: [
+            "id", "email", "first_name", "last_name", "phone", "tags", "note",
+            "accepts_marketing", "address.id", "address.company", "address.address1",
+            "address.address2", "address.city", "address.province", "address.zip",
+            "address.country", "address.phone", "address.default"
+        ]
+    }
+};
+
+//  Fields which Shopify sets itself, these are exported but never imported.
+const read_only_fields = [
+    "admin_graphql_api_id",
+    "created_at",
+    "customer_id",
+    "inventory_item_id",
+    "inventory_quantity",
+    "last_order_id",
+    "last_order_name",
+    "old_inventory_quantity",
+    "orders_count",
+    "product_id",
+    "published_at",
+    "state",
+    "total_spent",
+    "updated_at",
+    "verified_email"
+];
+
+const integer_fields = ["id", "grams", "position"];
+const decimal_fields = ["price", "compare_at_price", "weight"];
+const boolean_fields = ["accepts_marketing", "default", "requires_shipping", "taxable", "tax_exempt"];
+const product_statuses = ["active", "archived", "draft"];
+
+
+const parse_csv = function (text) {
+
+//  @param1 {string} text  -  The content of a CSV file, as described by RFC 4180.
+//  @return {array}  -  An array of rows, each an array of strings with a line property,
+//   its 1-based row number in the file as a spreadsheet would show it.
+
+    const rows = [];
+    let row = [];
+    let value = "";
+    let in_quotes = false;
+    let i = (text.charCodeAt(0) === 0xFEFF) ? 1 : 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        if (in_quotes) {
+            if (char === "\"" && text[i + 1] === "\"") {
+                value += "\"";
+                i += 1;
+            } else if (char === "\"") {
+                in_quotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === "\"") {
+            in_quotes = true;
+        } else if (char === ",") {
+            row.push(value);
+            value = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") {
+                i += 1;
+            }
+            row.push(value);
+            row.line = rows.length + 1;
+            rows.push(row);
+            row = [];
+            value = "";
+        } else {
+            value += char;
+        }
+        i += 1;
+    }
+    if (value !== "" || row.length > 0) {
+        row.push(value);
+        row.line = rows.length + 1;
+        rows.push(row);
+    }
+
+//  Blank lines are skipped, but the line numbers of the rows which follow them are kept.
+
+    return rows.filter(row => row.length > 1 || row[0] !== "");
+};
+
+const format_csv_row = function (values) {
+
+//  @return {string}  -  The values as a CSV line, ending in "\r\n".
+
+    return values.map(function (value) {
+        if (value === undefined || value === null) {
+            return "";
+        }
+        if (typeof value === "object") {
+            value = JSON.stringify(value);
+        }
+        value = String(value);
+        return (
+            /[",\r\n]|^\s|\s$/.test(value)
+            ? "\"" + value.replace(/"/g, "\"\"") + "\""
+            : value
+        );
+    }).join(",") + "\r\n";
+};
+
+const get_table = function (type) {
+
+//  @param1 {string} type  -  "product" or "customer".
+//  @return {object}  -  { children, prefix, child_type, is_child_nested, match_column,
+//   default_columns }, where child_type is the children's resource type, and
+//   is_child_nested is true when they are requested through their parent, e.g.
+//   /customers/1/addresses/2.json rather than /variants/2.json.
+
+    if (tables[type] === undefined) {
+        throw new Error(
+            `CSV: unsupported resource type ${type}, expected one of ${Object.keys(tables).join(", ")}`
+        );
+    }
+    return tables[type];
+};
+
+const split_column = function (table, column) {
+
+//  e.g. "variant.sku" => { child: true, field: "sku" }
+
+    const dot = column.indexOf(".");
+    if (dot === -1) {
+        return { child: false, field: column };
+    }
+    if (column.slice(0, dot) !== table.prefix) {
+        return undefined;
+    }
+    return { child: true, field: column.slice(dot + 1) };
+};
+
+const flatten_record = function (type, record, columns) {
+
+//  @param1 {string} type  -  "product" or "customer".
+//  @param2 {object} record  -  A resource object, as returned by the REST Admin API.
+//  @param3 {array} columns  -  e.g. ["id", "title", "variant.sku"]
+//  @return {array}  -  One array of values per child, or a single array if the
+//   record has no children.
+
+    const table = get_table(type);
+    const children = record[table.children] || [];
+    const parts = columns.map(column => split_column(table, column));
+    return (children.length > 0 ? children : [undefined]).map(function (child, index) {
+        return parts.map(function (part) {
+            if (part === undefined) {
+                return "";
+            }
+            if (part.child) {
+                return child ? child[part.field] : "";
+            }
+
+//  The record's fields are only written on its first row.
+
+            return (index === 0) ? record[part.field] : "";
+        });
+    });
+};
+
+
+function parse_value(field, value) {
+    if (integer_fields.includes(field)) {
+        return parseInt(value, 10);
+    }
+    if (boolean_fields.includes(field)) {
+        return ["true", "1", "yes"].includes(value.toLowerCase());
+    }
+    if ((value[0] === "{" || value[0] === "[") && !decimal_fields.includes(field)) {
+        try {
+            return JSON.parse(value);
+        } catch (ignore) {
+            return value;
+        }
+    }
+    return value;
+}
+
+function validate_value(column, field, value) {
+    if (integer_fields.includes(field) && !/^\d+$/.test(value)) {
+        return `${column} must be a whole number, not "${value}"`;
+    }
+    if (decimal_fields.includes(field) && !/^-?\d+(\.\d+)?$/.test(value)) {
+        return `${column} must be a number, not "${value}"`;
+    }
+    if (boolean_fields.includes(field) && !/^(true|false|1|0|yes|no)$/i.test(value)) {
+        return `${column} must be true or false, not "${value}"`;
+    }
+    if (field === "email" && !value.includes("@")) {
+        return `${column} "${value}" is not an email address`;
+    }
+    return undefined;
+}
+
+
+const group_rows = function (type, rows) {
+
+//  Convert parsed CSV rows back into resource objects, validating each row.
+//  @param1 {string} type  -  "product" or "customer".
+//  @param2 {array} rows  -  Rows returned by parse_csv(), the first of which is the header.
+//  @return {array}  -  e.g.
+//   [{ record: { id: 1, title: "Shirt", variants: [...] }, rows: [2, 3], errors: [] }]
+//   where rows are the line numbers of the record's rows in the CSV (see parse_csv).
+
+    const table = get_table(type);
+    const header = rows[0] || [];
+    const parts = header.map(column => split_column(table, column.trim()));
+    const header_errors = header.filter((ignore, index) => parts[index] === undefined).map(
+        column => `Unknown column ${column}, expected a ${type} field or ${table.prefix}.[field]`
+    );
+    const groups = [];
+    //  The line number of each child, as an existing record's children must have ids.
+    const child_lines = new Map();
+
+    rows.slice(1).forEach(function (row, index) {
+        const line = row.line || index + 2;
+        const values = Object.create(null);
+        const child = Object.create(null);
+        const errors = [];
+        let has_child = false;
+
+        header.forEach(function (column, column_index) {
+            const part = parts[column_index];
+            const value = (row[column_index] || "").trim();
+            if (part === undefined || value === "" || read_only_fields.includes(part.field)) {
+                return;
+            }
+            const error = validate_value(column, part.field, value);
+            if (error) {
+                errors.push(error);
+                return;
+            }
+            if (part.child) {
+                child[part.field] = parse_value(part.field, value);
+                has_child = true;
+            } else {
+                values[part.field] = parse_value(part.field, value);
+            }
+        });
+        if (type === "product" && values.status && !product_statuses.includes(values.status)) {
+            errors.push(`status must be one of ${product_statuses.join(", ")}, not "${values.status}"`);
+        }
+
+        const previous = groups[groups.length - 1];
+        const continues_previous = previous && (
+            Object.keys(values).length === 0
+            || (values.id !== undefined && values.id === previous.record.id)
+            || (
+                values.id === undefined
+                && values[table.match_column] !== undefined
+                && values[table.match_column] === previous.record[table.match_column]
+            )
+        );
+        const group = continues_previous ? previous : {
+            record: Object.create(null),
+            rows: [],
+            errors: header_errors.slice()
+        };
+        if (!continues_previous) {
+            groups.push(group);
+        }
+
+        Object.keys(values).forEach(function (field) {
+            const existing = group.record[field];
+            if (existing !== undefined && JSON.stringify(existing) !== JSON.stringify(values[field])) {
+                errors.push(`${field} conflicts with the value given on line ${group.rows[0]}`);
+            } else {
+                group.record[field] = values[field];
+            }
+        });
+        if (has_child) {
+            if (!Array.isArray(group.record[table.children])) {
+                group.record[table.children] = [];
+            }
+            group.record[table.children].push(child);
+            child_lines.set(child, line);
+        }
+        group.rows.push(line);
+        group.errors.push(...errors.map(error => `line ${line}: ${error}`));
+    });
+
+//  Records which are being created must contain the fields Shopify requires.  The
+//  children of records which are being updated are updated one at a time, by id,
+//  since Shopify would replace every child if they were sent with the record.
+
+    groups.forEach(function (group) {
+        const record = group.record;
+        if (record.id !== undefined) {
+            (record[table.children] || []).forEach(function (child) {
+                if (child.id === undefined) {
+                    group.errors.push(
+                        `line ${child_lines.get(child)}: ${table.prefix}.id is required, `
+                        + `${table.children} cannot be added to an existing ${type} by an import`
+                    );
+                }
+            });
+            return;
+        }
+        if (type === "product" && !record.title) {
+            group.errors.push("title is required to create a product");
+        }
+        if (type === "customer" && !record.email && !record.phone && !record.first_name && !record.last_name) {
+            group.errors.push("email, phone, first_name or last_name is required to create a customer");
+        }
+    });
+    return groups;
+};
+
+
+exports.flatten_record = flatten_record;
+exports.format_csv_row = format_csv_row;
+exports.get_table = get_table;
+exports.group_rows = group_rows;
+exports.parse_csv = parse_csv;
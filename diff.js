@@ -0,0 +1,148 @@
+/* globals exports */
+"use strict";
+
+//  Diff Public Methods:
+//
+//      1.  unified_diff()
+//
+
+//  The line comparison table used to compute the diff has one cell per pair of
+//  lines, so files whose changed regions exceed this many pairs are reported as
+//  having every line in the changed region replaced.
+const max_table_size = 10000000;
+
+
+function diff_lines(old_lines, new_lines) {
+
+//  @return {array}  -  An edit script, i.e. an array of [op, line] pairs where op
+//   is one of " " (unchanged), "-" (removed), or "+" (added).
+
+    let start = 0;
+    let old_end = old_lines.length;
+    let new_end = new_lines.length;
+
+//  Lines shared at the beginning and end of both files do not need to be compared.
+
+    while (start < old_end && start < new_end && old_lines[start] === new_lines[start]) {
+        start += 1;
+    }
+    while (
+        old_end > start
+        && new_end > start
+        && old_lines[old_end - 1] === new_lines[new_end - 1]
+    ) {
+        old_end -= 1;
+        new_end -= 1;
+    }
+
+    const script = old_lines.slice(0, start).map(line => [" ", line]);
+    const old_mid = old_lines.slice(start, old_end);
+    const new_mid = new_lines.slice(start, new_end);
+    const rows = old_mid.length + 1;
+    const cols = new_mid.length + 1;
+
+    if (rows * cols > max_table_size) {
+        old_mid.forEach(line => script.push(["-", line]));
+        new_mid.forEach(line => script.push(["+", line]));
+    } else {
+
+//  table[i * cols + j] holds the length of the longest common subsequence of
+//  old_mid.slice(i) and new_mid.slice(j).
+
+        const table = new Uint32Array(rows * cols);
+        let i = old_mid.length - 1;
+        while (i >= 0) {
+            let j = new_mid.length - 1;
+            while (j >= 0) {
+                table[i * cols + j] = (
+                    old_mid[i] === new_mid[j]
+                    ? table[(i + 1) * cols + j + 1] + 1
+                    : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1])
+                );
+                j -= 1;
+            }
+            i -= 1;
+        }
+
+        let old_i = 0;
+        let new_i = 0;
+        while (old_i < old_mid.length && new_i < new_mid.length) {
+            if (old_mid[old_i] === new_mid[new_i]) {
+                script.push([" ", old_mid[old_i]]);
+                old_i += 1;
+                new_i += 1;
+            } else if (table[(old_i + 1) * cols + new_i] >= table[old_i * cols + new_i + 1]) {
+                script.push(["-", old_mid[old_i]]);
+                old_i += 1;
+            } else {
+                script.push(["+", new_mid[new_i]]);
+                new_i += 1;
+            }
+        }
+        old_mid.slice(old_i).forEach(line => script.push(["-", line]));
+        new_mid.slice(new_i).forEach(line => script.push(["+", line]));
+    }
+
+    old_lines.slice(old_end).forEach(line => script.push([" ", line]));
+    return script;
+}
+
+
+const unified_diff = function (old_text, new_text, old_label, new_label, context = 3) {
+
+//  @param1 {string} old_text  -  e.g. the remote asset's value.
+//  @param2 {string} new_text  -  e.g. the local file's content.
+//  @param3 {string} old_label  -  Shown in the "---" header line.
+//  @param4 {string} new_label  -  Shown in the "+++" header line.
+//  @param5 {number} context  -  The number of unchanged lines shown around each change.
+//  @return {string}  -  The diff in unified format, or an empty string if the texts
+//   are identical.
+
+    if (old_text === new_text) {
+        return "";
+    }
+
+    const script = diff_lines(
+        old_text === "" ? [] : old_text.split("\n"),
+        new_text === "" ? [] : new_text.split("\n")
+    );
+    const output = [`--- ${old_label}`, `+++ ${new_label}`];
+
+//  Group the edit script into hunks, where each hunk covers a run of changes
+//  which are no more than 2 * context unchanged lines apart.
+
+    let index = 0;
+    while (index < script.length) {
+        if (script[index][0] === " ") {
+            index += 1;
+            continue;
+        }
+        const hunk_start = Math.max(0, index - context);
+        let hunk_end = index;
+        let unchanged_run = 0;
+        while (hunk_end < script.length && unchanged_run <= context * 2) {
+            unchanged_run = (script[hunk_end][0] === " ") ? unchanged_run + 1 : 0;
+            hunk_end += 1;
+        }
+        hunk_end -= Math.max(0, unchanged_run - context);
+
+        const hunk = script.slice(hunk_start, hunk_end);
+        const preceding = script.slice(0, hunk_start);
+        const old_start = preceding.filter(([op]) => op !== "+").length + 1;
+        const new_start = preceding.filter(([op]) => op !== "-").length + 1;
+        const old_count = hunk.filter(([op]) => op !== "+").length;
+        const new_count = hunk.filter(([op]) => op !== "-").length;
+
+        output.push(
+            `@@ -${old_count === 0 ? old_start - 1 : old_start},${old_count}`
+            + ` +${new_count === 0 ? new_start - 1 : new_start},${new_count} @@`
+        );
+        hunk.forEach(([op, line]) => output.push(op + line));
+        index = hunk_end;
+    }
+
+    return output.join("\n");
+};
+
+
+exports.unified_diff = unified_diff;
@@ -0,0 +1,164 @@
+/* globals exports, require */
+"use strict";
+const fs = require("fs");
+const Path = require("path");
+
+//  Ignore Public Methods:
+//
+//      1.  load_ignore_rules()
+//
+//  The project root may contain a file named .shopifyignore, which uses the same
+//  syntax as a .gitignore file.  Paths are matched relative to the project root,
+//  e.g. "theme/config/settings_data.json" or "scripts/**/*.test.js".  A pattern
+//  without a slash, e.g. "*.swp", matches a file or directory at any depth.
+
+const ignore_file_name = ".shopifyignore";
+
+//  Applied before the rules in the ignore file, so any of them can be re-included
+//  with a negated pattern, e.g. "!theme/config/settings_data.json".
+const default_rules = [
+    ".DS_Store",
+    "Thumbs.db",
+    "desktop.ini",
+    "*.swp",
+    "*.swo",
+    "*~",
+    ".#*",
+    "\\#*#",
+    "theme/config.yml",
+    "theme/config/settings_data.json"
+];
+
+
+function glob_to_regex_source(glob) {
+    let source = "";
+    let i = 0;
+    while (i < glob.length) {
+        const char = glob[i];
+        if (char === "*") {
+            if (glob[i + 1] === "*") {
+                const at_start = (i === 0);
+                const at_end = (i + 2 === glob.length);
+                if (at_start && glob[i + 2] === "/") {
+                    source += "(?:.*/)?";
+                    i += 3;
+                    continue;
+                }
+                if (at_end && glob[i - 1] === "/") {
+                    source += ".*";
+                    i += 2;
+                    continue;
+                }
+                if (glob[i - 1] === "/" && glob[i + 2] === "/") {
+                    source += "(?:.*/)?";
+                    i += 3;
+                    continue;
+                }
+            }
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "[" && glob.indexOf("]", i + 2) !== -1) {
+            const end = glob.indexOf("]", i + 2);
+            let set = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+            if (set[0] === "!") {
+                set = "^" + set.slice(1);
+            }
+            source += "[" + set + "]";
+            i = end;
+        } else if (char === "\\" && i + 1 < glob.length) {
+            i += 1;
+            source += glob[i].replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+        }
+        i += 1;
+    }
+    return source;
+}
+
+
+function parse_rule(line) {
+
+//  @return {object|undefined}  -  undefined if the line is blank or a comment.
+
+    line = line.replace(/(?<!\\)\s+$/, "");
+    if (line === "" || line[0] === "#") {
+        return undefined;
+    }
+    const rule = { negated: false, dir_only: false, anchored: false };
+    if (line[0] === "!") {
+        rule.negated = true;
+        line = line.slice(1);
+    }
+    if (line.endsWith("/")) {
+        rule.dir_only = true;
+        line = line.slice(0, -1);
+    }
+    if (line.includes("/")) {
+        rule.anchored = true;
+        line = line.replace(/^\//, "");
+    }
+    rule.regex = new RegExp("^" + glob_to_regex_source(line) + "$");
+    return rule;
+}
+
+
+const load_ignore_rules = function (base_path) {
+
+//  Read the ignore file in base_path (if one exists) and combine it with the
+//  default rules.
+//  @return {function}  -  is_ignored(file_path, is_dir), which returns true if the
+//   file (or any of the directories containing it) matches the rules.  If is_dir
+//   is undefined, it is determined from the file system.
+
+    let lines = default_rules.slice();
+    const ignore_file_path = Path.join(base_path, ignore_file_name);
+    if (fs.existsSync(ignore_file_path)) {
+        lines = lines.concat(fs.readFileSync(ignore_file_path, "utf8").split(/\r?\n/));
+    }
+    const rules = lines.map(parse_rule).filter(rule => rule !== undefined);
+
+    const matches = function (relative_path, is_dir) {
+        const name = relative_path.slice(relative_path.lastIndexOf("/") + 1);
+        let ignored = false;
+        rules.forEach(function (rule) {
+            if (rule.dir_only && !is_dir) {
+                return;
+            }
+            if (rule.regex.test(rule.anchored ? relative_path : name)) {
+                ignored = !rule.negated;
+            }
+        });
+        return ignored;
+    };
+
+    return function is_ignored(file_path, is_dir) {
+        const relative_path = Path.relative(base_path, file_path);
+        if (relative_path === "" || relative_path.startsWith("..") || Path.isAbsolute(relative_path)) {
+            return false;
+        }
+        if (is_dir === undefined) {
+            try {
+                is_dir = fs.statSync(file_path).isDirectory();
+            } catch (ignore) {
+                is_dir = false;
+            }
+        }
+        const parts = relative_path.split(Path.sep);
+
+//  A file cannot be re-included if one of its parent directories is ignored.
+
+        let depth = 1;
+        while (depth < parts.length) {
+            if (matches(parts.slice(0, depth).join("/"), true)) {
+                return true;
+            }
+            depth += 1;
+        }
+        return matches(parts.join("/"), is_dir);
+    };
+};
+
+
+exports.load_ignore_rules = load_ignore_rules;
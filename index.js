@@ -6,64 +6,77 @@ const Path = require("path");
 const Websocket = require("ws");
 const Fs = require("./requestor_factories/fs_operations");
 const ShopifyAPI = require("./requestor_factories/api_requests");
+const GraphQL = require("./requestor_factories/graphql_requests");
+const BulkOperations = require("./requestor_factories/bulk_operations");
 const Utils = require("./utils");
-const { run_sync } = Utils;
+const { run_sync, to_promise } = Utils;
 const { log } = require("./log");
-const { create_data_object, data_objects_init } = require("./create_data_objects");
+const {
+    data_objects_init,
+    resolve_environment
+} = require("./create_data_objects");
 const Commands = require("./commands");
+const ThemeKeys = require("./theme_keys");
+const { create_sync_state } = require("./sync_state");
+const Webhooks = require("./webhooks");
+const Proxy = require("./proxy");
 
-//  Any binary encoded files must be processed and uploaded differently than text
-//  files. This list is by no means exhaustive, but serves to list all of the binary
-//  file types which may be present in the theme/assets directory.
-//  Feel free to add additional types as necessary.
-const non_string_formats = [
-    ".woff",
-    ".woff2",
-    ".png",
-    ".jpg",
-    ".eot",
-    ".ttf",
-    ".ttc",
-    ".gif",
-    ".otf"
-];
-const theme_dirs = [
-    "config",
-    "snippets",  //  Can contain files or dirs, if a dir, its files are joined and then uploaded as dirname.liquid.
-    "sections",  //  ""
-    "templates/customers",
-    "templates",
-    "layout",
-    "locales",
-    "assets"
-];
+//  Any binary encoded files must be processed and uploaded differently than text files.
+const { non_string_formats } = ThemeKeys;
 let server;
 let wss;
-let websocket;
+//  The websocket of each connected browser tab.
+const websockets = new Set();
 let browser_url = "http://localhost";
 let port;
+//  The checksum and updated_at values of each asset as of its last upload, see sync_state.js.
+let sync_state;
+//  When true, local changes are uploaded even if the remote asset has changed since
+//  it was last synced.
+let force_overwrite = false;
+//  When true (set by an environment's read_only flag), the watchers do not upload anything.
+let read_only = false;
+//  The reason a requestor fails with when an upload is stopped by a remote change.
+const remote_conflict = "Remote Conflict";
+//  A map from each theme key to the set of local files which would be uploaded as it.
+const theme_key_paths = new Map();
 const paths = Object.create(null);
 paths.local_data = Path.join(__dirname, "local-data");
 
 
 const start = function run_app(env_vars) {
     try {
+        env_vars = resolve_environment(env_vars);
         const data = Object.create(null);
         port = env_vars.port;
         paths.base = env_vars.base_path;
         paths.scripts = Path.join(paths.base, "scripts");
         paths.styles = Path.join(paths.base, "styles");
         paths.theme = Path.join(paths.base, "theme");
+        if (env_vars.local_data_path) {
+            paths.local_data = env_vars.local_data_path;
+        }
         data.paths = paths;
         ShopifyAPI.init(env_vars);
+        Fs.init(paths.base);
+        Webhooks.init(env_vars);
+        Proxy.init(env_vars);
+        sync_state = create_sync_state(env_vars.theme_id, paths.local_data);
+        force_overwrite = Boolean(env_vars.force_overwrite);
+        read_only = Boolean(env_vars.read_only);
+        if (read_only) {
+            log("Read Only", `environment ${env_vars.environment}, local changes will not be uploaded`);
+        }
 
         if (!fs.existsSync(paths.local_data)) {
-            fs.mkdirSync(paths.local_data, {});
+            fs.mkdirSync(paths.local_data, { recursive: true });
         }
 
         run_sync(
             [
                 data_objects_init(env_vars),
+                registerThemeKeys(),
+                seedSyncState(),
                 initLocalServer(),
                 createWebsocket(),
                 Fs.start_watchers(updateTheme),
@@ -88,46 +101,370 @@ const start = function run_app(env_vars) {
 //
 
 const get_customer_by_id = function (env_vars, id, fields) {
-	ShopifyAPI.init(env_vars);
+	ShopifyAPI.init(resolve_environment(env_vars));
 	return ShopifyAPI.download_customer(id, fields);
 };
 
 const get_customers = function (env_vars, fields) {
-	ShopifyAPI.init(env_vars);
+	ShopifyAPI.init(resolve_environment(env_vars));
 	return ShopifyAPI.download_customers(fields);
 };
 
 const get_metafields = function (env_vars, resource_type, resource_id, namespace) {
-	ShopifyAPI.init(env_vars);
+	ShopifyAPI.init(resolve_environment(env_vars));
 	return ShopifyAPI.download_metafields(resource_type, resource_id, namespace);
 };
 
 const set_metafield = function (env_vars, resource_type, resource_id, request_body) {
-	ShopifyAPI.init(env_vars);
+	ShopifyAPI.init(resolve_environment(env_vars));
 	return ShopifyAPI.upload_metafield(resource_type, resource_id, request_body);
 };
 
+//  Metafield operations.  owner is the metafield's owner, e.g. { type: "customer", id: 123 },
+//  or "shop" for the store's own metafields.  list sets data.metafields, the others set
+//  data.metafield, see requestor_factories/api_requests.js.
+
+const list_metafields = function (env_vars, owner, options) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.list_metafields(owner, options);
+};
+
+const get_metafield = function (env_vars, owner, id) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.get_metafield(owner, id);
+};
+
+const find_metafield = function (env_vars, owner, namespace, key) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.find_metafield(owner, namespace, key);
+};
+
+const create_metafield = function (env_vars, owner, metafield) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.create_metafield(owner, metafield);
+};
+
+const update_metafield = function (env_vars, owner, metafield) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.update_metafield(owner, metafield);
+};
+
+const delete_metafield = function (env_vars, owner, id) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.delete_metafield(owner, id);
+};
+
 const get_products = function (env_vars, fields, query_string) {
-    ShopifyAPI.init(env_vars);
+    ShopifyAPI.init(resolve_environment(env_vars));
     return ShopifyAPI.download_resource("product", fields, query_string);
 };
 
 const post_products = function (env_vars, json_objects) {
-    ShopifyAPI.init(env_vars);
+    ShopifyAPI.init(resolve_environment(env_vars));
     return ShopifyAPI.upload_resource("product", json_objects, "PUT");
 };
 
+//  Generic resource operations.  type is the resource's singular name, e.g.
+//  "product", "custom_collection" or "fulfillment".  Nested resources take their
+//  parent in options, e.g. { parent: { type: "product", id: 123 } }, see
+//  requestor_factories/api_requests.js.  get, create and update set data.resource,
+//  list sets data.resources.
+
+const get_resource = function (env_vars, type, id, options) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.get_resource(type, id, options);
+};
+
+const list_resources = function (env_vars, type, options) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.list_resources(type, options);
+};
+
+const create_resource = function (env_vars, type, object, options) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.create_resource(type, object, options);
+};
+
+const update_resource = function (env_vars, type, object, options) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.update_resource(type, object, options);
+};
+
+const delete_resource = function (env_vars, type, id, options) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.delete_resource(type, id, options);
+};
+
+//
+// SHOPIFY GRAPHQL ADMIN API OPERATIONS
+// graphql() sets data.query_result to the response's data, graphql_paginate()
+// sets data.nodes to every node of the connection at connection_path.
+//
+
+const graphql = function (env_vars, query, variables) {
+    GraphQL.init(resolve_environment(env_vars));
+    return GraphQL.graphql(query, variables);
+};
+
+const graphql_paginate = function (env_vars, query, variables, connection_path, on_page) {
+    GraphQL.init(resolve_environment(env_vars));
+    return GraphQL.graphql_paginate(query, variables, connection_path, on_page);
+};
+
+//  Bulk operations run asynchronously on Shopify's side, see
+//  requestor_factories/bulk_operations.js for the available options.
+
+const bulk_query = function (env_vars, query, options) {
+    GraphQL.init(resolve_environment(env_vars));
+    return BulkOperations.bulk_query(query, options);
+};
+
+const bulk_mutation = function (env_vars, mutation, variables, options) {
+    GraphQL.init(resolve_environment(env_vars));
+    return BulkOperations.bulk_mutation(mutation, variables, options);
+};
+
+
+//
+// THEME OPERATIONS
+// Each returns a requestor which sets data.theme (or data.themes) and calls its
+// callback once the request has completed.
+//
+
+const list_themes = function (env_vars) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.download_themes();
+};
+
+const create_theme = function (env_vars, name, src, role) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.create_theme(name, src, role);
+};
+
+const duplicate_theme = function (env_vars, source_theme_id, name, role = "development") {
+
+//  Creates a development theme (or a theme with the given role, e.g. "unpublished")
+//  named name, and copies all of the source theme's assets into it.
+
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return function duplicate_theme_requestor(cb, data) {
+        run_sync([
+            ShopifyAPI.create_theme(name, undefined, role),
+            ShopifyAPI.copy_theme_assets(source_theme_id)
+        ], cb, data);
+    };
+};
+
+const publish_theme = function (env_vars, theme_id) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.publish_theme(theme_id);
+};
+
+const delete_theme = function (env_vars, theme_id) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.delete_theme(theme_id);
+};
+
+
+//
+// WEBHOOKS
+// Handlers are registered with on_webhook(topic, handler) in run.js, and are called
+// with each verified webhook the local server receives, see webhooks.js.
+//
+
+//  Webhook subscriptions.  list sets data.webhooks, create and update set data.webhook.
+
+const list_webhooks = function (env_vars, options) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.list_webhooks(options);
+};
+
+const create_webhook = function (env_vars, webhook) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.create_webhook(webhook);
+};
+
+const update_webhook = function (env_vars, webhook) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.update_webhook(webhook);
+};
+
+const delete_webhook = function (env_vars, id) {
+    ShopifyAPI.init(resolve_environment(env_vars));
+    return ShopifyAPI.delete_webhook(id);
+};
+
+const sync_webhooks = function (env_vars, subscriptions, options) {
+
+//  Create the missing subscriptions and delete the stale ones, so that the store's
+//  subscriptions match subscriptions, which defaults to the webhooks variable (e.g.
+//  of the selected environment).  Sets data.created, data.updated, data.deleted and
+//  data.unchanged.
+
+    env_vars = resolve_environment(env_vars);
+    ShopifyAPI.init(env_vars);
+    return ShopifyAPI.sync_webhooks(subscriptions || env_vars.webhooks || [], options);
+};
+
+const replay_webhooks = function (options) {
+
+//  Re-send stored webhooks to the registered handlers, e.g.
+//  replay_webhooks({ topic: "orders/create" }).  Sets data.replayed and data.failed.
+
+    return Webhooks.replay(options);
+};
+
+
+//
+// ASYNC ITERATORS
+// Request one page at a time, as the caller consumes them, so that large
+// collections are never held in memory.  e.g.
+//      for await (const product of iterate_resources(data, "product", { fields: "id" })) {
+//          ...
+//      }
+//
+
+const iterate_resource_pages = async function* (env_vars, type, options) {
+
+//  Yields each page's array of resource objects, see list_resources for the options.
+
+    ShopifyAPI.init(resolve_environment(env_vars));
+    let page_path;
+    do {
+        const page = await to_promise(ShopifyAPI.download_resource_page(type, options, page_path));
+        page_path = page.next_page_path;
+        yield page.resources;
+    } while (page_path);
+};
+
+const iterate_resources = async function* (env_vars, type, options) {
+    for await (const resources of iterate_resource_pages(env_vars, type, options)) {
+        yield* resources;
+    }
+};
+
+const iterate_graphql_pages = async function* (env_vars, query, variables, connection_path) {
+
+//  Yields each page's array of nodes, see graphql_paginate for the form the query
+//  must take.
+
+    GraphQL.init(resolve_environment(env_vars));
+    let cursor = null;
+    do {
+        const page = await to_promise(GraphQL.graphql_page(query, variables, connection_path, cursor));
+        cursor = page.end_cursor;
+        yield page.nodes;
+    } while (cursor);
+};
+
+const iterate_graphql_nodes = async function* (env_vars, query, variables, connection_path) {
+    for await (const nodes of iterate_graphql_pages(env_vars, query, variables, connection_path)) {
+        yield* nodes;
+    }
+};
+
+
+//
+// PROMISES
+// Each operation above, returning a Promise instead of a requestor.  The Promise
+// resolves with the value the requestor passes to its callback, e.g.
+//      const { resources } = await promises.list_resources(data, "product");
+//      const customers = await promises.get_customers(data, "id,email");
+//
+
+const promisify = function (operation) {
+    return function (...args) {
+        return to_promise(operation(...args));
+    };
+};
+
+const promises = Object.freeze({
+    get_customer_by_id: promisify(get_customer_by_id),
+    get_customers: promisify(get_customers),
+    get_metafields: promisify(get_metafields),
+    set_metafield: promisify(set_metafield),
+    list_metafields: promisify(list_metafields),
+    get_metafield: promisify(get_metafield),
+    find_metafield: promisify(find_metafield),
+    create_metafield: promisify(create_metafield),
+    update_metafield: promisify(update_metafield),
+    delete_metafield: promisify(delete_metafield),
+    get_products: promisify(get_products),
+    post_products: promisify(post_products),
+    get_resource: promisify(get_resource),
+    list_resources: promisify(list_resources),
+    create_resource: promisify(create_resource),
+    update_resource: promisify(update_resource),
+    delete_resource: promisify(delete_resource),
+    graphql: promisify(graphql),
+    graphql_paginate: promisify(graphql_paginate),
+    bulk_query: promisify(bulk_query),
+    bulk_mutation: promisify(bulk_mutation),
+    list_themes: promisify(list_themes),
+    create_theme: promisify(create_theme),
+    duplicate_theme: promisify(duplicate_theme),
+    publish_theme: promisify(publish_theme),
+    delete_theme: promisify(delete_theme),
+    list_webhooks: promisify(list_webhooks),
+    create_webhook: promisify(create_webhook),
+    update_webhook: promisify(update_webhook),
+    delete_webhook: promisify(delete_webhook),
+    sync_webhooks: promisify(sync_webhooks),
+    replay_webhooks: promisify(replay_webhooks)
+});
+
 
 exports.deploy = Commands.Deploy;
+exports.pull = Commands.Pull;
+exports.themes = Commands.Themes;
+exports.export_csv = Commands.Export;
+exports.import_csv = Commands.Import;
 
 exports.get_customer_by_id = get_customer_by_id;
 exports.get_customers = get_customers;
 exports.get_metafields = get_metafields;
 exports.set_metafield = set_metafield;
+exports.list_metafields = list_metafields;
+exports.get_metafield = get_metafield;
+exports.find_metafield = find_metafield;
+exports.create_metafield = create_metafield;
+exports.update_metafield = update_metafield;
+exports.delete_metafield = delete_metafield;
 exports.get_products = get_products;
 exports.post_products = post_products;
+exports.get_resource = get_resource;
+exports.list_resources = list_resources;
+exports.create_resource = create_resource;
+exports.update_resource = update_resource;
+exports.delete_resource = delete_resource;
+exports.get_bucket_state = ShopifyAPI.get_bucket_state;
+exports.graphql = graphql;
+exports.graphql_paginate = graphql_paginate;
+exports.bulk_query = bulk_query;
+exports.bulk_mutation = bulk_mutation;
+exports.get_graphql_cost_state = GraphQL.get_cost_state;
 exports.start = start;
 
+exports.list_themes = list_themes;
+exports.create_theme = create_theme;
+exports.duplicate_theme = duplicate_theme;
+exports.publish_theme = publish_theme;
+exports.delete_theme = delete_theme;
+
+exports.iterate_resource_pages = iterate_resource_pages;
+exports.iterate_resources = iterate_resources;
+exports.iterate_graphql_pages = iterate_graphql_pages;
+exports.iterate_graphql_nodes = iterate_graphql_nodes;
+exports.promises = promises;
+
+exports.on_webhook = Webhooks.on;
+exports.replay_webhooks = replay_webhooks;
+exports.list_webhooks = list_webhooks;
+exports.create_webhook = create_webhook;
+exports.update_webhook = update_webhook;
+exports.delete_webhook = delete_webhook;
+exports.sync_webhooks = sync_webhooks;
+
 
 //  Private Functions
 
@@ -137,7 +474,12 @@ function initLocalServer() {
         try {
             server = http.createServer();
             server.listen(port);
-            server.on("request", server_request_handler);
+            server.on("request", function (request, response) {
+                if (Webhooks.is_webhook_request(request)) {
+                    return Webhooks.handle_request(request, response);
+                }
+                return Proxy.handle_request(request, response);
+            });
             return cb(data);
         } catch (exception) {
             return cb(null, exception);
@@ -157,8 +499,11 @@ function createWebsocket() {
         try {
             wss = new Websocket.Server({ server });
             wss.on("connection", function (ws) {
-                ws.send("WebSocket connection established.");
-                websocket = ws;
+                websockets.add(ws);
+                ws.on("close", function () {
+                    websockets.delete(ws);
+                });
+                ws.send(JSON.stringify({ type: "connected" }));
             });
             return cb(data);
         } catch (exception) {
@@ -168,7 +513,83 @@ function createWebsocket() {
 }
 
 
+function add_theme_key_path(file_path) {
+    const key = ThemeKeys.get_key(paths.theme, file_path);
+    if (key === undefined) {
+        return;
+    }
+    if (!theme_key_paths.has(key)) {
+        theme_key_paths.set(key, new Set());
+    }
+    theme_key_paths.get(key).add(file_path);
+}
+
+function remove_theme_key_path(file_path) {
+    const key = ThemeKeys.get_key(paths.theme, file_path);
+    const key_paths = theme_key_paths.get(key);
+    if (key_paths !== undefined) {
+        key_paths.delete(file_path);
+        if (key_paths.size === 0) {
+            theme_key_paths.delete(key);
+        }
+    }
+}
+
+function registerThemeKeys() {
+
+//  Record the key of every local theme file, reporting any keys which more than
+//  one file would be uploaded as.
+
+    return function register_theme_keys_requestor(cb, data) {
+        try {
+            Fs.get_all_file_paths(paths.theme)(function (d, reason) {
+                if (d === null) return cb(null, reason);
+                d.files.forEach(add_theme_key_path);
+                ThemeKeys.find_collisions(paths.theme, d.files).forEach(function (file_paths, key) {
+                    log("Error", ThemeKeys.collision_message(paths.theme, key, file_paths));
+                });
+                return cb(data);
+            }, Object.create(null));
+        } catch (exception) {
+            return cb(null, exception);
+        }
+    };
+}
+
+function seedSyncState() {
+
+//  Record the current checksum of every remote asset which has not been synced
+//  before, so that remote changes made after the watchers start are detected
+//  even for files which have not been uploaded yet, see checkForRemoteChanges().
+//  Keys already in the sync state keep their last synced checksum.
+
+    return function seed_sync_state_requestor(cb, data) {
+        try {
+            if (force_overwrite || read_only) {
+                return cb(data);
+            }
+            ShopifyAPI.download_asset_list("key,checksum,updated_at")(function (d, reason) {
+                if (d === null) return cb(null, reason);
+                d.assets.forEach(function (asset) {
+                    if (sync_state.get(asset.key) === undefined) {
+                        sync_state.record(asset);
+                    }
+                });
+                return cb(data);
+            }, Object.create(null));
+        } catch (exception) {
+            return cb(null, exception);
+        }
+    };
+}
+
+
 function updateTheme(type) {
+    if (read_only) {
+        return function read_only_event_handler(event, file_path) {
+            log("Read Only", `${event} ${file_path} was not uploaded`);
+        };
+    }
     return (
         type === "scripts" ? updateScripts()
         : type === "styles" ? style_event_handler
@@ -176,19 +597,139 @@ function updateTheme(type) {
     );
 }
 
-function restartSocket(data, reason) {
+function checkForRemoteChanges(key) {
+
+//  Before a local change is uploaded, check whether the remote asset has changed
+//  since it was last synced (e.g. it was edited in the Shopify code editor).
+//  Only the asset's checksum is downloaded for the check.  If it has changed, the
+//  remote version is saved to local-data/conflicts/[key], and the requestor fails
+//  with remote_conflict instead of overwriting it.  The remote version is then
+//  treated as synced, so saving the file again will upload it.
+
+    return function check_for_remote_changes_requestor(cb, data) {
+        try {
+            if (force_overwrite || sync_state.get(key) === undefined) {
+                return cb(data);
+            }
+            ShopifyAPI.download_asset_state(key)(function (d, reason) {
+
+//  If the remote asset could not be checked, it is not overwritten.  If it has been
+//  deleted remotely, it is simply uploaded again.
+
+                if (d === null) {
+                    return cb(null, reason);
+                }
+                if (d.asset === null || !sync_state.has_changed(d.asset)) {
+                    return cb(data);
+                }
+                return ShopifyAPI.download_asset(key)(function (d, reason) {
+                    if (d === null) {
+                        return cb(null, reason);
+                    }
+                    return saveConflict(key, d.asset, cb);
+                }, Object.create(null));
+            }, Object.create(null));
+        } catch (exception) {
+            return cb(null, exception);
+        }
+    };
+}
+
+function saveConflict(key, asset, cb) {
+
+//  Save the remote version of a conflicting asset, then fail with remote_conflict.
+
+    try {
+        const conflict_path = Path.join(paths.local_data, "conflicts", ...key.split("/"));
+        Fs.write_file(
+            conflict_path,
+            (
+                asset.attachment !== undefined
+                ? Buffer.from(asset.attachment, "base64")
+                : asset.value || ""
+            )
+        )(function (d, reason) {
+            if (d === null) return cb(null, reason);
+            sync_state.record(asset);
+            log(
+                "Conflict",
+                `${key} was changed remotely since it was last synced, so it was not uploaded. `
+                + `The remote version was saved to ${conflict_path}, save the file again to overwrite it.`
+            );
+            return cb(null, remote_conflict);
+        }, Object.create(null));
+    } catch (exception) {
+        return cb(null, exception);
+    }
+}
+
+function sendToBrowsers(message) {
+
+//  Send message to every connected browser as JSON, see websocket_insert_script.txt.
+//  The messages are:
+//      { type: "connected" }  -  Sent to each browser as it connects.
+//      { type: "css", key, name }  -  Swap the stylesheet named name (e.g.
+//       "main.min.css" for the key "assets/main.min.css.liquid") for a fresh copy.
+//      { type: "reload", key }  -  Reload the page.
+//      { type: "error", key, message }  -  Log message in the browser's console.
+
+    const text = JSON.stringify(message);
+    websockets.forEach(function (ws) {
+        if (ws.readyState === Websocket.OPEN) {
+            ws.send(text);
+        }
+    });
+}
+
+function refreshMessage(data) {
+
+//  Stylesheets can be replaced in place, but any other change (or a deleted
+//  stylesheet) requires the page to be reloaded.
+
+    const match = /^assets\/(.+\.css)(\.liquid)?$/.exec(data.key);
+    if (match !== null && data.log_type !== "Deleted") {
+        return { type: "css", key: data.key, name: match[1] };
+    }
+    return { type: "reload", key: data.key };
+}
+
+function refreshLocalAsset(key) {
+
+//  When the proxy serves the asset from theme/assets (see serve_local_assets in
+//  proxy.js), the browsers are refreshed as soon as the asset has been built, rather
+//  than once it has been uploaded.  Sets data.refreshed if they were.
+//  @param1 {string} key  -  (optional) The asset's key, defaults to data.key.
+
+    return function refresh_local_asset_requestor(cb, data) {
+        try {
+            key = key || data.key;
+            if (Proxy.serves_local_asset(key)) {
+                log("Refreshing", `${key} from theme/assets`);
+                data.refreshed = true;
+                sendToBrowsers(refreshMessage({ key: key, log_type: data.log_type }));
+            }
+            return cb(data);
+        } catch (exception) {
+            return cb(null, exception);
+        }
+    };
+}
+
+function refreshBrowsers(data, reason) {
     if (data === null) {
         log("Error", reason);
         return;
     }
-    if (data.log_type === "Upload Failed") {
+    if (data.refreshed) {
         log(data.log_type, data.key);
-        websocket.terminate();
+    } else if (data.log_type === "Upload Failed") {
+        log(data.log_type, data.key);
+        sendToBrowsers({ type: "error", key: data.key, message: `${data.key} could not be uploaded` });
     } else {
       log("Uploading", data.key);
       setTimeout(function () {
           log(data.log_type, data.key);
-          websocket.terminate();
+          sendToBrowsers(refreshMessage(data));
       }, 1000);
     }
 }
@@ -222,19 +763,19 @@ function updateScripts() {
             if (isDirectoryEvent) {
                 return (
                     (event !== "addDir" && parentDirName === "scripts")
-                    ? deleteGrouplessJsModule(filePath, restartSocket)
-                    : packageJsModuleGroup(moduleGroupPath, restartSocket)
+                    ? deleteGrouplessJsModule(filePath, refreshBrowsers)
+                    : packageJsModuleGroup(moduleGroupPath, refreshBrowsers)
                 );
             } else {
                 const moduleIsFile = (parentDirName === "scripts" || parentDirName === "templates");
 
                 if (event === "unlink" && moduleIsFile) {
-                    return deleteGrouplessJsModule(filePath, restartSocket);
+                    return deleteGrouplessJsModule(filePath, refreshBrowsers);
                 } else if (event === "change" || event === "add" || event === "unlink") {
                     return (
                         moduleIsFile
-                        ? packageJsModule(filePath, restartSocket)
-                        : packageJsModuleGroup(moduleGroupPath, restartSocket)
+                        ? packageJsModule(filePath, refreshBrowsers)
+                        : packageJsModuleGroup(moduleGroupPath, refreshBrowsers)
                     );
                 }
             }
@@ -254,6 +795,7 @@ function packageJsModuleGroup(moduleGroupPath, cb) {
         Fs.get_all_file_paths(moduleGroupPath),
         sortJsFiles(moduleGroupPath),
         Fs.minify_js("from data", outputPath),
+        refreshLocalAsset(),
         ShopifyAPI.upload_file(outputPath, data.key)
     ], cb, data);
 }
@@ -266,6 +808,7 @@ function packageJsModule(modulePath, cb) {
     const outputPath = Path.join(paths.theme, data.key);
     run_sync([
         Fs.minify_js(modulePath, outputPath),
+        refreshLocalAsset(),
         ShopifyAPI.upload_file(outputPath, data.key)
     ], cb, data);
 }
@@ -349,8 +892,9 @@ function style_event_handler(event, filePath) {
             if (event === "change" || event === "add" || event === "unlink") {
                 run_sync([
                     Fs.process_scss(base_path, base_min_path),
+                    refreshLocalAsset(),
                     ShopifyAPI.upload_file(base_min_path, "assets/main.min.css.liquid")
-                ], restartSocket, eventData);
+                ], refreshBrowsers, eventData);
             }
         };
 
@@ -370,8 +914,9 @@ function style_event_handler(event, filePath) {
                     if (event === "change" || event === "add" || event === "unlink") {
                         run_sync([
                             Fs.process_scss(base_path, base_min_path),
+                            refreshLocalAsset(),
                             ShopifyAPI.upload_file(base_min_path, "assets/" + outputName + ".min.css.liquid")
-                        ], restartSocket, eventData);
+                        ], refreshBrowsers, eventData);
                     }
                 } else {
                     updateMainCss();
@@ -392,6 +937,12 @@ function theme_event_handler(event, file_path) {
         const dir_path_parts = path_parsed.dir.split(Path.sep);
         const file_dir = dir_path_parts[dir_path_parts.length - 1];
 
+        if (event === "add") {
+            add_theme_key_path(file_path);
+        } else if (event === "unlink") {
+            remove_theme_key_path(file_path);
+        }
+
 //  Changing minified asset files will have no effect, but they can be deleted.
 
         if (
@@ -403,25 +954,25 @@ function theme_event_handler(event, file_path) {
             return;
         }
 
-//  Compute the following variables' values.
-        let write_path;
-        let curr_path;
-        let theme_sub_dir;
-        let theme_dir;
+        let write_path = ThemeKeys.get_key(paths.theme, file_path);
+        let curr_path = file_path;
 
-        if (theme_dirs.includes(file_dir)) {
-            write_path = `${file_dir}/${file_name}`;
-            curr_path = file_path;
-        } else {
-            theme_sub_dir = file_dir;
-            theme_dir = dir_path_parts[dir_path_parts.length - 2];
-            if (theme_sub_dir === "customers" && theme_dir === "templates") {
-                write_path = `templates/customers/${path_parsed.base}`;
-                curr_path = Path.join(paths.theme, write_path);
-            } else {
-                write_path = `${theme_dir}/${path_parsed.base}`;
-                curr_path = Path.join(paths.theme, theme_dir, theme_sub_dir, path_parsed.base);
-            }
+        if (write_path === undefined) {
+            return;
+        }
+
+//  Refuse to upload a key which more than one local file would be uploaded as.
+//  When a file is removed and exactly one other file shares its key, that file
+//  is uploaded in its place instead of the key being deleted.
+
+        const key_paths = theme_key_paths.get(write_path);
+
+        if (key_paths !== undefined && key_paths.size > 1) {
+            log("Error", ThemeKeys.collision_message(paths.theme, write_path, Array.from(key_paths)));
+            return;
+        }
+        if (event === "unlink" && key_paths !== undefined && key_paths.size === 1) {
+            return theme_event_handler("change", Array.from(key_paths)[0]);
         }
 
 		const eventData = Object.create(null);
@@ -431,22 +982,29 @@ function theme_event_handler(event, file_path) {
         const update_file = function (delete_after=false) {
             if (event === "add" || event === "change") {
                 const is_binary = non_string_formats.includes(path_parsed.ext);
-                ShopifyAPI.upload_file(curr_path, write_path, is_binary)(
-                    function (data, reason) {
-                        if (data === null) {
-                            console.log(reason);
-                            eventData.log_type = "Upload Failed";
-                        }
-                        if (delete_after) {
-                            fs.unlink(curr_path, function (err) {
-                                if (err) throw err;
-                            });
-                        }
-                        // log("Uploaded", write_path);
-                        restartSocket(eventData);
-                    },
-                    Object.create(null)
-                );
+                run_sync([
+                    checkForRemoteChanges(write_path),
+                    refreshLocalAsset(write_path),
+                    ShopifyAPI.upload_file(curr_path, write_path, is_binary)
+                ], function (data, reason) {
+                    if (delete_after) {
+                        fs.unlink(curr_path, function (err) {
+                            if (err) throw err;
+                        });
+                    }
+                    if (data === null && reason === remote_conflict) {
+                        return;
+                    }
+                    if (data === null) {
+                        console.log(reason);
+                        eventData.log_type = "Upload Failed";
+                    } else {
+                        sync_state.record(data.asset);
+                        eventData.refreshed = data.refreshed;
+                    }
+                    // log("Uploaded", write_path);
+                    refreshBrowsers(eventData);
+                }, Object.create(null));
             }
 
             if (event === "unlink") {
@@ -454,7 +1012,8 @@ function theme_event_handler(event, file_path) {
                     if (data === null) {
                         throw reason;
                     }
-                    restartSocket(eventData);
+                    sync_state.forget(write_path);
+                    refreshBrowsers(eventData);
                 });
             }
         };
@@ -479,40 +1038,3 @@ function theme_event_handler(event, file_path) {
         log("Error", exception);
     }
 }
-
-//  Handle requests to our local server.
-//  1.  Request the store's HTML content.
-//  2.  Get the text for the client side JS script.
-//  3.  Append the script from #2 to the end of the body of the HTML from #1.
-//  4.  Send the result of #3 to the client as a response to this request.
-function server_request_handler(request, response) {
-    const ws_script_path = Path.join(paths.base, "node_modules", "shopify_dev_utils", "websocket_insert_script.txt");
-    run_sync(
-        [
-            ShopifyAPI.get_shopify_page_html(request.url),
-            Fs.read_file(ws_script_path)
-        ],
-        function (data, reason) {
-            if (data === null) throw reason;
-            const html_file = Path.join(paths.base, "node_modules", "shopify_dev_utils", "store_page_content.html");
-            fs.open(html_file, "r", function (err, fd) {
-                if (err) {
-                    if (err.code === "ENOENT") {
-                        log("Error", "ENOENT: HTML file does not exist");
-                        return;
-                    }
-                    throw err;
-                }
-                fs.readFile(fd, "utf-8", function (err, content) {
-                    if (err) throw err;
-                    response.writeHead(200, { "Content-Type": "text/html" });
-                    response.write(
-                        content.replace("</body>", data.file_content + "\n</body>")
-                    );
-                    response.end();
-                });
-            });
-        },
-        create_data_object("auth", "paths")
-    );
-}
@@ -1,6 +1,28 @@
-/* globals exports */
+/* globals exports, process */
 "use strict";
 
+//  ANSI escape codes for the styles used below.  Output which is not to a terminal
+//  (e.g. when piped to a file) is left unstyled.
+const styles = {
+    bold: 1,
+    dim: 2,
+    italic: 3,
+    red: 31,
+    green: 32,
+    cyan: 36,
+    gray: 90
+};
+
+const style = function (text, ...names) {
+    if (!process.stdout.isTTY) {
+        return text;
+    }
+    return names.reduce(
+        (styled, name) => `\u001b[${styles[name]}m${styled}\u001b[0m`,
+        text
+    );
+};
+
 const log = function (action, target) {
 
 //  Changes the default behavior of console.log() to suit the project.
@@ -18,24 +40,24 @@ const log = function (action, target) {
         };
         const date = new Date();
         const time = date.toLocaleString("en-US", options);
-        const time_stamp = "[".gray + time.cyan.bold.dim + "]".gray + " -";
+        const time_stamp = style("[", "gray") + style(time, "cyan", "bold", "dim") + style("]", "gray") + " -";
 
         target = (
             target && typeof target === "object"
             ? Object.entries(target)
-            : `${target}`.italic
+            : style(`${target}`, "italic")
         );
 
         if (action === "Error") {
             console.log(
                 time_stamp,
-                "The following exception was triggered: ".red.bold + "\n",
+                style("The following exception was triggered: ", "red", "bold") + "\n",
                 target
             );
         } else {
             console.log(
                 time_stamp,
-                action.green.bold,
+                style(action, "green", "bold"),
                 (action === "Deleted") ? " --" : "--",
                 target
             );
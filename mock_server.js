@@ -0,0 +1,641 @@
+/* globals exports, require, module, process */
+"use strict";
+const crypto = require("crypto");
+const http = require("http");
+
+//  Mock Server Public Methods:
+//
+//      1.  create_mock_server()
+//
+//  A local stand-in for the REST Admin API, for developing data scripts offline and
+//  testing the requestors without a real store.  It implements:
+//      - The Asset API, for the themes in /themes.json.
+//      - Listing, creating, updating and deleting any other resource, e.g.
+//        /products.json, /customers/123.json, /products/123/metafields.json, with
+//        cursor pagination through Link headers.  Nested resources which the parent
+//        object embeds (a product's variants, a customer's addresses) are the same
+//        objects whether they are requested through the parent or on their own.
+//      - The X-Shopify-Shop-Api-Call-Limit header, and 429 responses when its leaky
+//        bucket overflows.
+//      - Injected failures, e.g. { status: 503, times: 2, path: "/products" }.
+//  Run it with `node node_modules/shopify_dev_utils/mock_server.js [port]`, and set
+//  data.api_url = "http://localhost:[port]" so that init() sends requests to it.
+
+const default_port = 9292;
+const max_page_size = 250;
+const default_page_size = 50;
+const max_logged_requests = 1000;
+
+const default_assets = {
+    "layout/theme.liquid": "<!doctype html>\n<html>\n  <head>{{ content_for_header }}</head>\n  <body>{{ content_for_layout }}</body>\n</html>\n",
+    "config/settings_schema.json": "[]\n",
+    "config/settings_data.json": "{\n  \"current\": {}\n}\n",
+    "templates/index.liquid": "<h1>{{ shop.name }}</h1>\n"
+};
+
+
+function singularize(plural) {
+
+//  The reverse of pluralize() in api_requests.js, e.g. "addresses" => "address".
+
+    if (/ies$/.test(plural)) {
+        return plural.slice(0, -3) + "y";
+    }
+    if (/(ss|x|ch|sh)es$/.test(plural)) {
+        return plural.slice(0, -2);
+    }
+    return plural.replace(/s$/, "");
+}
+
+//  e.g. "custom_collection" => "CustomCollection"
+function gid_type(type) {
+    if (type === "variant") {
+        return "ProductVariant";
+    }
+    return type.split("_").map(part => part[0].toUpperCase() + part.slice(1)).join("");
+}
+
+function pick_fields(object, fields) {
+    if (!fields) {
+        return object;
+    }
+    const picked = {};
+    fields.split(",").forEach(function (field) {
+        field = field.trim();
+        if (object[field] !== undefined) {
+            picked[field] = object[field];
+        }
+    });
+    return picked;
+}
+
+function encode_cursor(value) {
+    return Buffer.from(JSON.stringify(value)).toString("base64").replace(/=+$/, "");
+}
+
+function decode_cursor(cursor) {
+    try {
+        return JSON.parse(Buffer.from(cursor, "base64").toString("utf8"));
+    } catch (ignore) {
+        return undefined;
+    }
+}
+
+
+/*
+    @param1 {object} options  -  (optional)
+     products {number|array}  -  The products to start with, or the number of products
+      (each with two variants) to generate.  Defaults to 300.
+     customers {number|array}  -  As for products, each customer having one address.
+      Defaults to 300.
+     assets {object}  -  The main theme's assets, as a map from key to value.
+     auth {string}  -  e.g. "key:password".  When given, requests must use it.
+     bucket_size {number}  -  Defaults to 40.
+     leak_rate {number}  -  Requests per second, defaults to 2.
+     throttle {boolean}  -  Set to false to never respond with 429 because of the bucket.
+     latency {number}  -  Milliseconds to wait before each response.
+     failures {array}  -  Failure rules, see inject().
+    @return {object}  -  { listen(port, cb), close(cb), inject(rule), clear_failures(),
+     url(), requests, store }
+*/
+const create_mock_server = function (options = {}) {
+    let next_id = 1000;
+    let bucket_used = 0;
+    let last_leak = Date.now();
+    let failures = [];
+    const bucket_size = options.bucket_size || 40;
+    const leak_rate = options.leak_rate || 2;
+    const requests = [];
+
+//  collections maps a collection's path, e.g. "products" or "products/1001/metafields",
+//  to its array of objects.  assets maps each theme id to a Map from key to asset.
+
+    const collections = new Map();
+    const assets = new Map();
+
+    const now = () => new Date().toISOString();
+
+    const add_defaults = function (type, object) {
+        if (object.id === undefined) {
+            next_id += 1;
+            object.id = next_id;
+        }
+        object.created_at = object.created_at || now();
+        object.updated_at = now();
+        object.admin_graphql_api_id = `gid://shopify/${gid_type(type)}/${object.id}`;
+        if (type === "product" && !Array.isArray(object.variants)) {
+            object.variants = [{ title: "Default Title", price: "0.00", option1: "Default Title" }];
+        }
+        ["variants", "addresses", "images"].forEach(function (children) {
+            if (Array.isArray(object[children])) {
+                object[children] = object[children].map(function (child) {
+                    child = add_defaults(singularize(children), child);
+                    child[type + "_id"] = object.id;
+                    return child;
+                });
+            }
+        });
+        if (type === "product" && !object.handle && object.title) {
+            object.handle = object.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+        }
+        return object;
+    };
+
+    const get_collection = function (path) {
+        if (!collections.has(path)) {
+            collections.set(path, []);
+        }
+        return collections.get(path);
+    };
+
+    const create_theme_assets = function (theme_id, values) {
+        const theme_assets = new Map();
+        assets.set(String(theme_id), theme_assets);
+        Object.keys(values || {}).forEach(function (key) {
+            theme_assets.set(key, make_asset(theme_id, key, Buffer.from(values[key]), false));
+        });
+    };
+
+    function make_asset(theme_id, key, content, is_binary, created_at) {
+        return {
+            key: key,
+            content: content,
+            is_binary: is_binary,
+            checksum: crypto.createHash("md5").update(content).digest("hex"),
+            size: content.length,
+            theme_id: Number(theme_id),
+            created_at: created_at || now(),
+            updated_at: now()
+        };
+    }
+
+    function seed(type, value, generate) {
+        const plural = type + "s";
+        const objects = (
+            Array.isArray(value)
+            ? value
+            : Array.from({ length: (value === undefined) ? 300 : value }, (ignore, index) => generate(index + 1))
+        );
+        objects.forEach(object => get_collection(plural).push(add_defaults(type, Object.assign({}, object))));
+    }
+
+    seed("product", options.products, index => ({
+        title: `Product ${index}`,
+        vendor: "Mock Vendor",
+        product_type: "Mock",
+        tags: (index % 2 === 0) ? "even" : "odd",
+        status: "active",
+        variants: [
+            { title: "Small", option1: "Small", sku: `P${index}-S`, price: "10.00" },
+            { title: "Large", option1: "Large", sku: `P${index}-L`, price: "12.00" }
+        ]
+    }));
+    seed("customer", options.customers, index => ({
+        first_name: "Customer",
+        last_name: String(index),
+        email: `customer${index}@example.com`,
+        tags: "",
+        addresses: [{ address1: `${index} Mock Street`, city: "Ottawa", country: "Canada", default: true }]
+    }));
+    get_collection("themes").push(add_defaults("theme", { name: "Mock Theme", role: "main" }));
+    create_theme_assets(get_collection("themes")[0].id, options.assets || default_assets);
+
+
+    const inject = function (rule) {
+
+//  @param1 {object} rule  -  Matching requests are answered with rule.status instead
+//   of being handled, e.g. { status: 503, times: 2, method: "PUT", path: "/assets" }.
+//    status {number|string}  -  e.g. 429, 500, 502, 503, or "network" to destroy the
+//     connection without responding.
+//    times {number}  -  How many requests fail, defaults to 1, or to every request if
+//     rate is given.
+//    rate {number}  -  The probability (0 to 1) that a matching request fails.
+//    method {string}, path {string|RegExp}  -  Only match these requests.
+//    retry_after {number}  -  Seconds, sent in a Retry-After header.
+
+        failures.push(Object.assign({
+            times: (rule.rate !== undefined) ? Infinity : 1
+        }, rule));
+    };
+
+    (options.failures || []).forEach(inject);
+
+    const find_failure = function (method, path) {
+        const rule = failures.find(function (rule) {
+            return (
+                rule.times > 0
+                && (!rule.method || rule.method === method)
+                && (!rule.path || (rule.path instanceof RegExp ? rule.path.test(path) : path.includes(rule.path)))
+            );
+        });
+        if (!rule || (rule.rate !== undefined && Math.random() >= rule.rate)) {
+            return undefined;
+        }
+        rule.times -= 1;
+        return rule;
+    };
+
+    const leak = function () {
+        const leaked = Math.floor((Date.now() - last_leak) / 1000 * leak_rate);
+        if (leaked > 0) {
+            bucket_used = Math.max(0, bucket_used - leaked);
+            last_leak = Date.now();
+        }
+        if (bucket_used === 0) {
+            last_leak = Date.now();
+        }
+    };
+
+
+//  Asset API
+
+    const handle_assets = function (method, theme_id, query, body) {
+        const theme_assets = assets.get(theme_id);
+        if (theme_assets === undefined) {
+            return { status: 404, body: { errors: "Not Found" } };
+        }
+        const describe = function (asset, include_content) {
+            const described = {
+                key: asset.key,
+                public_url: null,
+                created_at: asset.created_at,
+                updated_at: asset.updated_at,
+                content_type: asset.is_binary ? "application/octet-stream" : "text/plain",
+                size: asset.size,
+                checksum: asset.checksum,
+                theme_id: asset.theme_id
+            };
+            if (include_content) {
+                described[asset.is_binary ? "attachment" : "value"] = (
+                    asset.is_binary
+                    ? asset.content.toString("base64")
+                    : asset.content.toString("utf8")
+                );
+            }
+            return described;
+        };
+        const key = query.get("asset[key]");
+
+        if (method === "GET") {
+            if (key) {
+                const asset = theme_assets.get(key);
+                return (
+                    asset
+                    ? { body: { asset: pick_fields(describe(asset, true), query.get("fields")) } }
+                    : { status: 404, body: { errors: "Not Found" } }
+                );
+            }
+            return {
+                body: {
+                    assets: Array.from(theme_assets.values()).map(
+                        asset => pick_fields(describe(asset, false), query.get("fields"))
+                    )
+                }
+            };
+        }
+        if (method === "PUT") {
+            const asset = body && body.asset;
+            if (!asset || !asset.key) {
+                return { status: 422, body: { errors: { asset: ["key is required"] } } };
+            }
+            let content;
+            let is_binary = false;
+            if (asset.value !== undefined) {
+                content = Buffer.from(String(asset.value));
+            } else if (asset.attachment !== undefined) {
+                content = Buffer.from(asset.attachment, "base64");
+                is_binary = true;
+            } else if (asset.source_key !== undefined && theme_assets.has(asset.source_key)) {
+                content = theme_assets.get(asset.source_key).content;
+                is_binary = theme_assets.get(asset.source_key).is_binary;
+            } else {
+                return { status: 422, body: { errors: { asset: ["value or attachment is required"] } } };
+            }
+            const existing = theme_assets.get(asset.key);
+            const stored = make_asset(theme_id, asset.key, content, is_binary, existing && existing.created_at);
+            theme_assets.set(asset.key, stored);
+            return { body: { asset: describe(stored, false) } };
+        }
+        if (method === "DELETE") {
+            if (!theme_assets.has(key)) {
+                return { status: 404, body: { errors: "Not Found" } };
+            }
+            theme_assets.delete(key);
+            return { body: { message: `${key} was successfully deleted` } };
+        }
+        return { status: 405, body: { errors: "Method Not Allowed" } };
+    };
+
+
+//  Every other resource.
+//  @param1 {array} segments  -  e.g. ["products", "1001", "variants"]
+
+    const find_collection = function (segments) {
+        if (segments.length === 1) {
+            return get_collection(segments[0]);
+        }
+
+//  Nested collections are either embedded in their parent, e.g. product.variants,
+//  or stored separately, e.g. a product's metafields.
+
+        const parent_collection = find_collection(segments.slice(0, -2));
+        const parent_id = Number(segments[segments.length - 2]);
+        const parent = parent_collection && parent_collection.find(object => object.id === parent_id);
+        if (!parent) {
+            return undefined;
+        }
+        const plural = segments[segments.length - 1];
+        return Array.isArray(parent[plural]) ? parent[plural] : get_collection(segments.join("/"));
+    };
+
+    const list = function (collection, type, query, host, path) {
+        let filters;
+        let offset = 0;
+        if (query.get("page_info")) {
+            const cursor = decode_cursor(query.get("page_info"));
+            if (!cursor) {
+                return { status: 400, body: { errors: { page_info: "Invalid value." } } };
+            }
+            filters = cursor.filters;
+            offset = cursor.offset;
+        } else {
+            filters = {};
+            query.forEach(function (value, name) {
+                if (!["limit", "fields", "page_info"].includes(name)) {
+                    filters[name] = value;
+                }
+            });
+        }
+        const limit = Math.min(parseInt(query.get("limit"), 10) || default_page_size, max_page_size);
+        const matches = collection.filter(function (object) {
+            return Object.keys(filters).every(function (name) {
+                const value = filters[name];
+                if (name === "since_id") {
+                    return object.id > Number(value);
+                }
+                if (name === "ids") {
+                    return value.split(",").map(Number).includes(object.id);
+                }
+                return object[name] === undefined || String(object[name]) === value;
+            });
+        });
+        const page = matches.slice(offset, offset + limit);
+        const link = function (page_offset, rel) {
+            const page_query = new URLSearchParams({
+                limit: String(limit),
+                page_info: encode_cursor({ offset: page_offset, filters: filters })
+            });
+            if (query.get("fields")) {
+                page_query.set("fields", query.get("fields"));
+            }
+            return `<http://${host}${path}?${page_query.toString()}>; rel="${rel}"`;
+        };
+        const links = [];
+        if (offset > 0) {
+            links.push(link(Math.max(0, offset - limit), "previous"));
+        }
+        if (offset + limit < matches.length) {
+            links.push(link(offset + limit, "next"));
+        }
+        return {
+            headers: links.length > 0 ? { "Link": links.join(", ") } : {},
+            body: { [type + "s"]: page.map(object => pick_fields(object, query.get("fields"))) }
+        };
+    };
+
+    const handle_resource = function (method, segments, query, body, host, path) {
+        const is_item = (segments.length % 2 === 0);
+        const plural = segments[is_item ? segments.length - 2 : segments.length - 1];
+        const type = singularize(plural);
+
+//  Like Shopify, a variant can also be addressed on its own, e.g. /variants/1002.json.
+
+        const collection = (
+            (is_item && segments.length === 2 && plural === "variants")
+            ? (get_collection("products").find(
+                product => (product.variants || []).some(variant => variant.id === Number(segments[1]))
+            ) || {}).variants
+            : find_collection(is_item ? segments.slice(0, -1) : segments)
+        );
+        if (collection === undefined) {
+            return { status: 404, body: { errors: "Not Found" } };
+        }
+        const wrap = object => ({ body: { [type]: object } });
+
+        if (!is_item) {
+            if (method === "GET") {
+                return list(collection, type, query, host, path);
+            }
+            if (method === "POST") {
+                if (!body || typeof body[type] !== "object") {
+                    return { status: 400, body: { errors: { [type]: "Required parameter missing or invalid" } } };
+                }
+                const object = add_defaults(type, Object.assign({}, body[type], { id: undefined }));
+                if (segments.length > 1) {
+                    const parent_type = singularize(segments[segments.length - 3]);
+                    if (type === "metafield") {
+                        object.owner_id = Number(segments[segments.length - 2]);
+                        object.owner_resource = parent_type;
+                    } else {
+                        object[parent_type + "_id"] = Number(segments[segments.length - 2]);
+                    }
+                } else if (type === "metafield") {
+                    object.owner_resource = "shop";
+                }
+                if (type === "theme") {
+                    object.role = object.role || "unpublished";
+                    create_theme_assets(object.id, default_assets);
+                }
+                collection.push(object);
+                return Object.assign({ status: 201 }, wrap(object));
+            }
+            return { status: 405, body: { errors: "Method Not Allowed" } };
+        }
+
+        const id = segments[segments.length - 1];
+        if (id === "count" && method === "GET") {
+            return { body: { count: collection.length } };
+        }
+        const index = collection.findIndex(object => object.id === Number(id));
+        if (index === -1) {
+            return { status: 404, body: { errors: "Not Found" } };
+        }
+        if (method === "GET") {
+            return wrap(pick_fields(collection[index], query.get("fields")));
+        }
+        if (method === "PUT") {
+            if (!body || typeof body[type] !== "object") {
+                return { status: 400, body: { errors: { [type]: "Required parameter missing or invalid" } } };
+            }
+            const existing = collection[index];
+            const changes = Object.assign({}, body[type], { id: existing.id });
+
+//  Like Shopify, embedded children which are not included are removed, and those
+//  without an id are created.
+
+            ["variants", "addresses", "images"].forEach(function (children) {
+                if (Array.isArray(changes[children])) {
+                    changes[children] = changes[children].map(function (child) {
+                        const current = (existing[children] || []).find(object => object.id === child.id);
+                        return current ? Object.assign({}, current, child) : child;
+                    });
+                }
+            });
+            if (type === "theme" && changes.role === "main" && existing.role === "development") {
+                return { status: 422, body: { errors: { role: ["Development themes cannot be published"] } } };
+            }
+            if (type === "theme" && changes.role === "main") {
+                collection.forEach(function (theme) {
+                    if (theme.role === "main") {
+                        theme.role = "unpublished";
+                    }
+                });
+            }
+            collection[index] = add_defaults(type, Object.assign({}, existing, changes));
+            return wrap(collection[index]);
+        }
+        if (method === "DELETE") {
+            collection.splice(index, 1);
+            if (type === "theme") {
+                assets.delete(id);
+            }
+            return { body: {} };
+        }
+        return { status: 405, body: { errors: "Method Not Allowed" } };
+    };
+
+
+    const route = function (request, body) {
+        const url = new URL(request.url, "http://localhost");
+        const match = /^\/admin\/api\/[\w-]+\/(.+)\.json$/.exec(url.pathname);
+        if (!match) {
+            return { status: 404, body: { errors: "Not Found" } };
+        }
+        const segments = match[1].split("/");
+        if (segments[0] === "graphql") {
+            return { status: 404, body: { errors: "The GraphQL Admin API is not supported by the mock server" } };
+        }
+        if (segments[0] === "themes" && segments[2] === "assets" && segments.length === 3) {
+            return handle_assets(request.method, segments[1], url.searchParams, body);
+        }
+        return handle_resource(
+            request.method,
+            segments,
+            url.searchParams,
+            body,
+            request.headers.host,
+            url.pathname
+        );
+    };
+
+    const handle_request = function (request, response) {
+        const chunks = [];
+        request.on("data", chunk => chunks.push(chunk));
+        request.on("end", function () {
+            const send = function (result) {
+                const status = result.status || 200;
+                const headers = Object.assign(
+                    {
+                        "Content-Type": "application/json",
+                        "X-Shopify-Shop-Api-Call-Limit": `${bucket_used}/${bucket_size}`
+                    },
+                    result.headers
+                );
+                requests.push({ method: request.method, path: request.url, status: status });
+                if (requests.length > max_logged_requests) {
+                    requests.shift();
+                }
+                response.writeHead(status, headers);
+                response.end(JSON.stringify(result.body || {}));
+            };
+            const respond = function () {
+                if (options.auth) {
+                    const expected = "Basic " + Buffer.from(options.auth).toString("base64");
+                    if (request.headers.authorization !== expected) {
+                        return send({ status: 401, body: { errors: "[API] Invalid API key or access token" } });
+                    }
+                }
+                const failure = find_failure(request.method, request.url);
+                if (failure && failure.status === "network") {
+                    requests.push({ method: request.method, path: request.url, status: "network" });
+                    return request.socket.destroy();
+                }
+                if (failure) {
+                    return send({
+                        status: failure.status,
+                        headers: failure.retry_after !== undefined ? { "Retry-After": String(failure.retry_after) } : {},
+                        body: { errors: failure.status === 429 ? "Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service." : "Internal Server Error" }
+                    });
+                }
+                leak();
+                if (options.throttle !== false && bucket_used >= bucket_size) {
+                    return send({
+                        status: 429,
+                        headers: { "Retry-After": "1.0" },
+                        body: { errors: "Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service." }
+                    });
+                }
+                bucket_used += 1;
+                let body;
+                try {
+                    body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : undefined;
+                } catch (exception) {
+                    return send({ status: 400, body: { errors: "Invalid JSON: " + exception.message } });
+                }
+                try {
+                    return send(route(request, body));
+                } catch (exception) {
+                    return send({ status: 500, body: { errors: String(exception) } });
+                }
+            };
+            if (options.latency) {
+                return setTimeout(respond, options.latency);
+            }
+            return respond();
+        });
+    };
+
+    const server = http.createServer(handle_request);
+
+    return Object.freeze({
+        listen: function (port, cb) {
+            server.listen(port === undefined ? default_port : port, cb);
+        },
+        close: function (cb) {
+            server.close(cb);
+        },
+
+//  @return {string}  -  e.g. "http://localhost:9292", the value for data.api_url.
+
+        url: function () {
+            return `http://localhost:${server.address().port}`;
+        },
+        inject: inject,
+        clear_failures: function () {
+            failures = [];
+        },
+
+//  Every request received, e.g. { method: "GET", path: "/admin/...", status: 200 }.
+
+        requests: requests,
+
+//  The mock store's data, for inspecting or modifying it directly, e.g.
+//  store.collections.get("products"), or store.assets.get(theme_id).get(key).
+
+        store: Object.freeze({ collections: collections, assets: assets })
+    });
+};
+
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || default_port;
+    const mock_server = create_mock_server();
+    mock_server.listen(port, function () {
+        const theme = mock_server.store.collections.get("themes")[0];
+        console.log(`Mock Admin API listening on ${mock_server.url()}`);
+        console.log(`Set data.api_url = "${mock_server.url()}" and data.theme_id = ${theme.id} in run.js.`);
+    });
+}
+
+
+exports.create_mock_server = create_mock_server;
@@ -0,0 +1,520 @@
+/* globals exports, require, __dirname */
+"use strict";
+const fs = require("fs");
+const https = require("https");
+const Path = require("path");
+const zlib = require("zlib");
+const { Transform } = require("stream");
+const { StringDecoder } = require("string_decoder");
+const { log } = require("./log");
+
+//  Proxy Public Methods:
+//
+//      1.  init()
+//      2.  handle_request()
+//      3.  serves_local_asset()
+//
+//  Each request to the local server is forwarded to the store, with its method,
+//  headers (including cookies) and body, and the store's response is streamed back
+//  to the client which made it, with its status and headers.  HTML responses are
+//  decompressed, and have the websocket script injected before their closing body
+//  tag.  A few headers are adjusted so that the store works over http://localhost,
+//  see forward_headers() and response_headers().
+//
+//  Absolute URLs which point to the store (its myshopify.com domain, the preview
+//  domain, and any domains listed in store_domains) are rewritten to the local server,
+//  in HTML and in Location headers, so that following a link or submitting a form
+//  stays on the proxy.  Asset URLs on Shopify's CDN are left alone, unless
+//  proxy_cdn_urls is set, in which case they are rewritten to /__cdn/ on the local
+//  server, which forwards them to cdn.shopify.com.
+//
+//  When serve_local_assets is set, the CDN URLs are rewritten, and requests for a
+//  theme asset (e.g. /cdn/shop/t/12/assets/main.min.css?v=123) which exists in
+//  theme/assets are answered with the local file, so that a reload shows a change
+//  before it has been uploaded.  The Liquid in a .liquid asset is rendered if it only
+//  contains settings.[name] and '[file]' | asset_url outputs, and the asset is
+//  otherwise requested from the store as usual.
+
+const ws_script_path = Path.join(__dirname, "websocket_insert_script.txt");
+
+//  Headers which only apply to a single connection, and so are never forwarded.
+const hop_by_hop_headers = [
+    "connection",
+    "keep-alive",
+    "proxy-authenticate",
+    "proxy-authorization",
+    "proxy-connection",
+    "te",
+    "trailer",
+    "transfer-encoding",
+    "upgrade"
+];
+
+const cdn_host = "cdn.shopify.com";
+const cdn_prefix = "/__cdn";
+
+//  e.g. "/cdn/shop/t/12/assets/main.min.css?v=123", or the same asset on
+//  cdn.shopify.com, "/__cdn/s/files/1/0123/4567/t/12/assets/main.min.css?v=123".
+const asset_path_pattern = /^((?:\/[^?#]*)?\/t\/\d+\/assets\/)([^/?#]+)/;
+
+const content_types = {
+    ".css": "text/css; charset=utf-8",
+    ".eot": "application/vnd.ms-fontobject",
+    ".gif": "image/gif",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".js": "application/javascript; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".otf": "font/otf",
+    ".png": "image/png",
+    ".svg": "image/svg+xml",
+    ".ttc": "font/collection",
+    ".ttf": "font/ttf",
+    ".webp": "image/webp",
+    ".woff": "font/woff",
+    ".woff2": "font/woff2"
+};
+
+let upstream_host;
+let store_hosts;
+let proxy_cdn_urls = false;
+let serve_local_assets = false;
+let theme_path;
+//  The .liquid assets which could not be rendered locally, each is only logged once.
+const unrendered_assets = new Set();
+let url_pattern;
+let ws_script;
+
+
+const init = function (env_vars) {
+
+//  Requests are sent to the theme's preview domain if one is set, and otherwise to
+//  the store's domain.  Either may be given as a hostname or a URL.
+
+//  store_domains may be an array, or a comma separated string, e.g. the store's
+//  custom domains "example.com,www.example.com".
+
+    const host_of = target => (
+        target.includes("://") ? new URL(target).hostname : target.split("/")[0]
+    ).toLowerCase();
+    const domains = (
+        typeof env_vars.store_domains === "string"
+        ? env_vars.store_domains.split(",")
+        : env_vars.store_domains || []
+    );
+    upstream_host = host_of(env_vars.store_preview_url || env_vars.store_url);
+    store_hosts = [env_vars.store_url, env_vars.store_preview_url].concat(domains)
+        .filter(domain => domain && domain.trim())
+        .map(domain => host_of(domain.trim()))
+        .filter((host, index, hosts) => hosts.indexOf(host) === index);
+    serve_local_assets = Boolean(env_vars.serve_local_assets);
+    proxy_cdn_urls = Boolean(env_vars.proxy_cdn_urls) || serve_local_assets;
+    if (env_vars.base_path) {
+        theme_path = Path.join(env_vars.base_path, "theme");
+    }
+    url_pattern = create_url_pattern(proxy_cdn_urls ? store_hosts.concat(cdn_host) : store_hosts);
+    ws_script = fs.readFileSync(ws_script_path, "utf8");
+};
+
+
+function create_url_pattern(hosts) {
+
+//  Matches absolute and protocol relative URLs to any of hosts, including those with
+//  JSON escaped slashes (e.g. "https:\/\/example.com\/cart") as found in inline
+//  scripts.  Captures the scheme, the slashes, the host, and a following /cdn/ path.
+
+    const escaped_hosts = hosts.map(host => host.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    return new RegExp(
+        String.raw`(https?:)?(\\?/\\?/)(${escaped_hosts.join("|")})(?![\w.-])(\\?/cdn\\?/)?`,
+        "gi"
+    );
+}
+
+
+function local_url_replacer(local_host) {
+
+//  @param1 {string} local_host  -  The local server's host, e.g. "localhost:8080".
+//  @return {function}  -  A replacer for url_pattern, for String.prototype.replace().
+
+    return function (match, scheme, slashes, host, cdn_path) {
+        const prefix = (scheme ? "http:" : "") + slashes + local_host;
+        const slash = slashes.length === 4 ? "\\/" : "/";
+        if (host.toLowerCase() === cdn_host) {
+            return prefix + slash + cdn_prefix.slice(1);
+        }
+        if (cdn_path && !proxy_cdn_urls) {
+            return match;
+        }
+        return prefix + (cdn_path || "");
+    };
+}
+
+
+function upstream_target(url) {
+
+//  @return {object}  -  { hostname, path } to which a request for url is forwarded.
+
+    if (url === cdn_prefix || url.startsWith(cdn_prefix + "/")) {
+        return { hostname: cdn_host, path: url.slice(cdn_prefix.length) || "/" };
+    }
+    return { hostname: upstream_host, path: url };
+}
+
+
+function read_settings() {
+
+//  @return {object}  -  The theme's current settings, from config/settings_data.json,
+//   which may begin with a comment.
+
+    const text = fs.readFileSync(Path.join(theme_path, "config", "settings_data.json"), "utf8");
+    const settings_data = JSON.parse(text.replace(/^\s*\/\*[\s\S]*?\*\//, ""));
+    return (
+        typeof settings_data.current === "string"
+        ? (settings_data.presets || {})[settings_data.current]
+        : settings_data.current
+    ) || {};
+}
+
+
+function render_liquid(text, assets_url) {
+
+//  Render a .liquid asset's simple outputs, i.e. {{ settings.[name] }} and
+//  {{ '[file]' | asset_url }}, where assets_url is the URL of the assets directory.
+//  @return {string}  -  The rendered text, or undefined if it contains any other Liquid.
+
+    let settings;
+    let is_rendered = true;
+
+    const render_output = function (match, expression) {
+        const filters = expression.split("|").map(part => part.trim());
+        const head = filters.shift();
+        let value;
+        if (/^(['"]).*\1$/.test(head)) {
+            value = head.slice(1, -1);
+        } else if (/^settings\.\w+$/.test(head)) {
+            try {
+                settings = settings || read_settings();
+            } catch (ignore) {
+                settings = {};
+            }
+            value = settings[head.slice("settings.".length)];
+        }
+        if (filters.length > 0 && filters.every(filter => filter === "asset_url") && typeof value === "string") {
+            value = assets_url + encodeURIComponent(value);
+        } else if (filters.length > 0) {
+            value = undefined;
+        }
+        if (value === undefined || value === null || typeof value === "object") {
+            is_rendered = false;
+            return match;
+        }
+        return String(value);
+    };
+
+    const rendered = text.replace(/\{\{-?([\s\S]*?)-?\}\}/g, render_output);
+    return (is_rendered && !rendered.includes("{%")) ? rendered : undefined;
+}
+
+
+function read_local_asset(name, assets_url) {
+
+//  @param1 {string} name  -  The asset's name as requested, e.g. "main.min.css", which
+//   is served from theme/assets/main.min.css, or rendered from main.min.css.liquid.
+//  @return {Buffer|string}  -  The asset's content, or undefined if it is not
+//   available locally.
+
+    if (!serve_local_assets || !theme_path || name.includes("/") || name.startsWith(".")) {
+        return undefined;
+    }
+    const file_path = Path.join(theme_path, "assets", name);
+    if (fs.existsSync(file_path)) {
+        return fs.readFileSync(file_path);
+    }
+    if (!fs.existsSync(file_path + ".liquid")) {
+        return undefined;
+    }
+    const rendered = render_liquid(fs.readFileSync(file_path + ".liquid", "utf8"), assets_url);
+    if (rendered === undefined && !unrendered_assets.has(name)) {
+        unrendered_assets.add(name);
+        log("Local Asset", `${name}.liquid contains Liquid which cannot be rendered locally, so it is requested from the store`);
+    }
+    return rendered;
+}
+
+
+const serves_local_asset = function (key) {
+
+//  @param1 {string} key  -  A theme key, e.g. "assets/main.min.css.liquid".
+//  @return {boolean}  -  Whether requests for the asset are answered with the local file.
+
+    if (!serve_local_assets || !key.startsWith("assets/")) {
+        return false;
+    }
+    try {
+        return read_local_asset(key.slice("assets/".length).replace(/\.liquid$/, ""), "/") !== undefined;
+    } catch (ignore) {
+        return false;
+    }
+};
+
+
+function serve_local_asset(request, response) {
+
+//  @return {boolean}  -  Whether the request was answered with a local asset.
+
+    const match = asset_path_pattern.exec(request.url);
+    if (match === null || !["GET", "HEAD"].includes(request.method)) {
+        return false;
+    }
+    let name;
+    let content;
+    try {
+        name = decodeURIComponent(match[2]);
+        content = read_local_asset(name, match[1]);
+    } catch (exception) {
+        log("Error", `Could not read the local asset ${name || match[2]} ${exception}`);
+        return false;
+    }
+    if (content === undefined) {
+        return false;
+    }
+    const body = Buffer.from(content);
+    response.writeHead(200, {
+        "Content-Type": content_types[Path.extname(name).toLowerCase()] || "application/octet-stream",
+        "Content-Length": body.length,
+        "Cache-Control": "no-store"
+    });
+    response.end(request.method === "HEAD" ? undefined : body);
+    return true;
+}
+
+
+function forward_headers(request, hostname) {
+
+//  The client's request headers, addressed to the store rather than to localhost.
+
+    const headers = {};
+    Object.keys(request.headers).forEach(function (name) {
+        if (!hop_by_hop_headers.includes(name) && name !== "host") {
+            headers[name] = request.headers[name];
+        }
+    });
+    headers.host = hostname;
+
+//  HTML must be decompressed before the script can be injected, so only encodings
+//  which zlib supports are accepted.
+
+    if (headers["accept-encoding"]) {
+        headers["accept-encoding"] = headers["accept-encoding"]
+            .split(",")
+            .map(coding => coding.trim())
+            .filter(coding => /^(gzip|deflate|br)(;|$)/i.test(coding))
+            .join(", ") || "identity";
+    }
+    ["origin", "referer"].forEach(function (name) {
+        if (headers[name]) {
+            try {
+                const url = new URL(headers[name]);
+                if (url.host === request.headers.host) {
+                    headers[name] = (
+                        `https://${upstream_host}`
+                        + (name === "referer" ? url.pathname + url.search : "")
+                    );
+                }
+            } catch (ignore) {
+                delete headers[name];
+            }
+        }
+    });
+    return headers;
+}
+
+
+function rewrite_cookie(cookie) {
+
+//  Cookies set for the store's domain, or only over https, would not be sent back
+//  to localhost, so they are made host-only and insecure.
+
+    return cookie
+        .replace(/;\s*domain=[^;]*/i, "")
+        .replace(/;\s*secure(?=;|$)/i, "")
+        .replace(/;\s*samesite=none/i, "; SameSite=Lax");
+}
+
+
+function response_headers(upstream, local_host) {
+
+//  The store's response headers, minus those which would break the page over
+//  http://localhost (e.g. HSTS, or a CSP which upgrades requests to https).
+
+    const headers = {};
+    Object.keys(upstream.headers).forEach(function (name) {
+        if (hop_by_hop_headers.includes(name) || name === "strict-transport-security") {
+            return;
+        }
+        headers[name] = upstream.headers[name];
+    });
+    if (headers["set-cookie"]) {
+        headers["set-cookie"] = headers["set-cookie"].map(rewrite_cookie);
+    }
+    if (headers["content-security-policy"]) {
+        headers["content-security-policy"] = headers["content-security-policy"]
+            .split(";")
+            .map(directive => directive.trim())
+            .filter(directive => !/^(upgrade-insecure-requests|block-all-mixed-content)$/i.test(directive))
+            .join("; ");
+    }
+    if (headers.location) {
+        headers.location = headers.location.replace(url_pattern, local_url_replacer(local_host));
+    }
+    return headers;
+}
+
+
+function decompress(response) {
+    switch (response.headers["content-encoding"]) {
+        case "br":
+            return response.pipe(zlib.createBrotliDecompress());
+        case "gzip":
+        case "deflate":
+            return response.pipe(zlib.createUnzip());
+        default:
+            return response;
+    }
+}
+
+
+function create_url_rewriter(local_host) {
+
+//  A stream which rewrites the store's URLs to local_host.  A URL may be split
+//  between chunks, so the end of each chunk is held back until the next arrives,
+//  along with any match which reaches into it.
+
+    const decoder = new StringDecoder("utf8");
+    const replacer = local_url_replacer(local_host);
+    const hold = Math.max(...store_hosts.concat(cdn_host).map(host => host.length)) + 20;
+    let held = "";
+
+    return new Transform({
+        transform: function (chunk, encoding, cb) {
+            const text = held + decoder.write(chunk);
+            let cut = Math.max(0, text.length - hold);
+            let output = "";
+            let position = 0;
+            let match;
+            url_pattern.lastIndex = 0;
+            while ((match = url_pattern.exec(text)) !== null && match.index < cut) {
+
+//  The character following the match decides whether it matched, so it must be
+//  released along with it.
+
+                if (match.index + match[0].length + 1 > cut) {
+                    cut = match.index;
+                    break;
+                }
+                output += text.slice(position, match.index) + replacer(...match);
+                position = match.index + match[0].length;
+            }
+            held = text.slice(cut);
+            return cb(null, output + text.slice(position, cut));
+        },
+        flush: function (cb) {
+            return cb(null, (held + decoder.end()).replace(url_pattern, replacer));
+        }
+    });
+}
+
+
+function create_script_injector(script) {
+
+//  A stream which inserts script before the first </body>, or at the end of the
+//  document if it has none.  Since the tag may be split between chunks, the last
+//  few characters of each chunk are held back until the next one arrives.
+
+    const decoder = new StringDecoder("utf8");
+    const tag = "</body>";
+    let held = "";
+    let is_injected = false;
+
+    return new Transform({
+        transform: function (chunk, encoding, cb) {
+            const text = held + decoder.write(chunk);
+            if (is_injected) {
+                held = "";
+                return cb(null, text);
+            }
+            const index = text.search(/<\/body>/i);
+            if (index !== -1) {
+                is_injected = true;
+                held = "";
+                return cb(null, text.slice(0, index) + script + "\n" + text.slice(index));
+            }
+            const keep = Math.min(text.length, tag.length - 1);
+            held = text.slice(text.length - keep);
+            return cb(null, text.slice(0, text.length - keep));
+        },
+        flush: function (cb) {
+            const text = held + decoder.end();
+            return cb(null, is_injected ? text : text + script);
+        }
+    });
+}
+
+
+const handle_request = function (request, response) {
+    let is_settled = false;
+
+    if (serve_local_asset(request, response)) {
+        return;
+    }
+
+    const fail = function (err) {
+        if (is_settled) {
+            return;
+        }
+        is_settled = true;
+        log("Error", `Proxy request for ${request.method} ${request.url} failed, ${err.code || err.message}`);
+        if (response.headersSent) {
+            return response.destroy(err);
+        }
+        response.writeHead(502, { "Content-Type": "text/plain" });
+        return response.end("Bad Gateway: " + (err.code || err.message));
+    };
+
+    const local_host = request.headers.host || "localhost";
+    const target = upstream_target(request.url);
+    const upstream_request = https.request({
+        method: request.method,
+        hostname: target.hostname,
+        path: target.path,
+        port: 443,
+        headers: forward_headers(request, target.hostname)
+    }, function (upstream) {
+        const headers = response_headers(upstream, local_host);
+        const is_html = /^text\/html/i.test(upstream.headers["content-type"] || "");
+        upstream.on("error", fail);
+        if (!is_html || request.method === "HEAD") {
+            response.writeHead(upstream.statusCode, headers);
+            return upstream.pipe(response);
+        }
+
+//  The injected script changes the body's length, and it is sent uncompressed.
+
+        delete headers["content-length"];
+        delete headers["content-encoding"];
+        const body = decompress(upstream);
+        body.on("error", fail);
+        response.writeHead(upstream.statusCode, headers);
+        body
+            .pipe(create_url_rewriter(local_host))
+            .pipe(create_script_injector(ws_script))
+            .pipe(response);
+    });
+    upstream_request.on("error", fail);
+    request.pipe(upstream_request);
+};
+
+
+exports.handle_request = handle_request;
+exports.init = init;
+exports.serves_local_asset = serves_local_asset;
@@ -3,26 +3,60 @@
 /* global exports, require  */
 "use strict";
 const fs = require("fs");
-const https = require("https");
 const Path = require("path");
-const zlib = require("zlib");
 const { run_async } = require("../utils");
 const { log } = require("../log");
+const { send_request } = require("./send_request");
+//  Binary files are uploaded as base64 encoded attachments.
+const { non_string_formats } = require("../theme_keys");
 
 let store_url;
 // let store_preview_url;
 let theme_id;
 let auth;
+//  When set (e.g. to "http://localhost:9292", see mock_server.js), requests are sent to
+//  this URL rather than to https://[store_url].
+let api_url;
 // let port;
 
 //  Module Private Methods
 //  make_requestor()
+//  schedule_request()
 //  Module Public Methods:
 //  delete_file()
-//  get_shopify_page_html()
+//  download_asset()
+//  download_asset_list()
+//  download_asset_state()
+//  get_bucket_state()
 //  upload_file()
 //  upload_files()
 
+//  create_resource()
+//  delete_resource()
+//  download_resource_page()
+//  get_resource()
+//  list_resources()
+//  update_resource()
+
+//  copy_theme_assets()
+//  create_theme()
+//  delete_theme()
+//  download_themes()
+//  publish_theme()
+
+//  create_metafield()
+//  delete_metafield()
+//  find_metafield()
+//  get_metafield()
+//  list_metafields()
+//  update_metafield()
+
+//  create_webhook()
+//  delete_webhook()
+//  list_webhooks()
+//  sync_webhooks()
+//  update_webhook()
+
 //  download_products()
 //  upload_products()
 
@@ -39,7 +73,7 @@ let auth;
 
 //  NOTES
 //      For the Shopify REST admin API, any store can make a maximum of 40 requests
-//  every 20 seconds. So here we keep track of that, and throttle accordingly.
+//  (80 for Plus stores) every 20 seconds. So here we keep track of that, and throttle accordingly.
 //      We do not want to blanketly throttle all requests, for example one lazy solution
 //  to avoid any overflow problems would be to not allow any more than 2 requests per second.
 //  Since large batches of requests are probably not going to be coming in within 20 seconds
@@ -51,26 +85,20 @@ const api_version = "2020-10";
 const base_path = "/admin/api/" + api_version;
 
 
-//  Any binary encoded files must be processed and uploaded differently than text
-//  files. This list is by no means exhaustive, but serves to list all of the binary
-//  file types which may be present in the theme/assets directory.
-//  Feel free to add additional types as necessary.
-const non_string_formats = [
-	".woff",
-	".woff2",
-	".png",
-	".jpg",
-	".eot",
-	".ttf",
-	".gif"
-];
-
+//  Failed requests are sent up to max_attempts times in total, see send_request.js.
+//  A POST is only retried on 429 responses, or before its connection was made.
+//  max_attempts can be set with init().
+let max_attempts = 5;
 
-// An integer representing the number of requests in the last 20 seconds.
+// An integer representing the number of requests in the bucket.  It is estimated
+// locally, and corrected whenever a response's call limit header is received.
 let request_count = 0;
+// The number of requests which have been sent, but have not yet received a response.
+let in_flight = 0;
 
 function add_request_to_bucket() {
 	request_count += 1;
+	in_flight += 1;
 }
 
 function remove_request_from_bucket() {
@@ -79,17 +107,54 @@ function remove_request_from_bucket() {
 
 // An array of functions which, when called when start a request that had been throttled.
 const overflow = [];
-//  No more than 40 requests may exist in the bucket.
-const bucket_size = 80;
-//  Bucket loses two elements per second.
-const leak_rate = 4;
-//  We will treat 35 as the limit, so that outside requests or restarting the dev app
-//  have less of a chance of causing a problem.
+//  The maximum number of requests in the bucket, 40 for standard stores and 80
+//  for Plus stores.  Detected from the X-Shopify-Shop-Api-Call-Limit header.
+let bucket_size = 40;
+//  The bucket loses bucket_size / 20 requests per second.
+let leak_rate = 2;
+//  We will treat bucket_size - padding as the limit, so that outside requests or
+//  restarting the dev app have less of a chance of causing a problem.
 const padding = 5;
-const bucket_limit = bucket_size - padding;
+let bucket_limit = bucket_size - padding;
 let is_polling = false;
 let is_throttling = false;
 
+//  Every Admin API response includes an X-Shopify-Shop-Api-Call-Limit header, e.g.
+//  "32/40", giving the number of requests in the store's bucket (including requests
+//  made by other apps) and the bucket's size.  Our local state is updated to match,
+//  counting the requests still in flight on top of those the header reports.
+function sync_bucket(call_limit_header) {
+	in_flight = Math.max(0, in_flight - 1);
+	const match = /^(\d+)\/(\d+)$/.exec(call_limit_header || "");
+	if (!match) {
+		return;
+	}
+	const size = parseInt(match[2], 10);
+	if (size !== bucket_size) {
+		bucket_size = size;
+		leak_rate = size / 20;
+		bucket_limit = size - padding;
+		log("Bucket Size", `${size} requests, leaking ${leak_rate} per second`);
+	}
+	request_count = parseInt(match[1], 10) + in_flight;
+	if (request_count > 0 && !is_polling) {
+		start_polling();
+	}
+}
+
+//  @return {object}  -  The current state of the leaky bucket, e.g.
+//   { used: 12, size: 40, limit: 35, leak_rate: 2, in_flight: 1, queued: 0 }
+function get_bucket_state() {
+	return {
+		used: request_count,
+		size: bucket_size,
+		limit: bucket_limit,
+		leak_rate: leak_rate,
+		in_flight: in_flight,
+		queued: overflow.length
+	};
+}
+
 //  When a request is added to the bucket, we start polling.  This means that until
 //  the bucket is empty, every 1 / leak_rate seconds, we will reduce request count
 //  by one.
@@ -134,6 +199,9 @@ function start_throttling() {
 
 			if (request_count < bucket_limit) {
 				const next_request = overflow.shift();
+				if (!is_polling) {
+					start_polling();
+				}
 				return next_request();
 			}
 		})();
@@ -149,6 +217,10 @@ function init(data) {
 	theme_id = data.theme_id;
 	auth = data.auth;
 	// port = data.port;
+	api_url = data.api_url ? new URL(data.api_url) : undefined;
+	if (data.max_attempts !== undefined) {
+		max_attempts = Math.max(1, parseInt(data.max_attempts, 10) || 1);
+	}
 }
 
 
@@ -156,13 +228,8 @@ function init(data) {
 function make_path(resource_type, query_string, resource_id = false) {
 	let path = base_path;
 	if (resource_type === "asset") {
-		path += `/themes/${theme_id}/assets.json`;
-	} else if (resource_type.includes("/metafield")) {
-        if (resource_id) {
-            path += `/${resource_type.replace("/metafield", "")}s/${resource_id}/metafields.json`;
-        } else { // Only applies when we are accessing shop metafields.
-            path += "/metafields.json";
-        }
+		// For assets, resource_id is the id of the theme, when it is not the current theme.
+		path += `/themes/${resource_id || theme_id}/assets.json`;
 	} else {
 		if (resource_id) {
 			path += `/${resource_type}s/${resource_id}.json`;
@@ -177,8 +244,9 @@ function make_path(resource_type, query_string, resource_id = false) {
 function make_request_options(method, resource_type, query_string, resource_id, path) {
 	path = path || make_path(resource_type, query_string, resource_id);
 	const options = {
-		hostname: store_url,
-		port: 443,
+		hostname: api_url ? api_url.hostname : store_url,
+		port: api_url ? (api_url.port || (api_url.protocol === "http:" ? 80 : 443)) : 443,
+		protocol: api_url ? api_url.protocol : "https:",
 		path: path,
 		method: method,
 		auth: auth,
@@ -189,6 +257,34 @@ function make_request_options(method, resource_type, query_string, resource_id,
 	return options;
 }
 
+//  e.g. ' {"title":["can't be blank"]}', or "" if the response body has no errors property.
+function response_errors(response_body) {
+	try {
+		const errors = JSON.parse(response_body).errors;
+		return errors ? " " + JSON.stringify(errors) : "";
+	} catch (ignore) {
+		return "";
+	}
+}
+
+//  Calls send once the bucket has room for another request, adding the request to it.
+function schedule_request(send) {
+	const start_request = function () {
+		add_request_to_bucket();
+		return send();
+	};
+	if (overflow.length === 0 && request_count < bucket_limit) { //  bucket is not full
+		if (!is_polling) {
+			start_polling();
+		}
+		return start_request();
+	}
+	overflow.push(start_request); //  bucket is full
+	if (!is_throttling) {
+		return start_throttling();
+	}
+}
+
 /*
 	@param1 {string} method  -  The request method, e.g. "POST", "GET", etc.
 	@param2 {string} resource_type  -  The type of API resource being targeted by
@@ -199,7 +295,8 @@ function make_request_options(method, resource_type, query_string, resource_id,
 	 body, but does require a resource_id is being made, this should be a json object
 	 with only the id property, e.g. {"product":{"id":342432412}}.
 	@return {function}  -  A requestor function which, when called, will make a request
-	to the REST Admin API, and call its callback upon receiving a response.
+	to the REST Admin API, and call its callback upon receiving a response.  When the
+	response's status is not 2xx, it is also set as data.status_code.
 */
 function make_requestor(
 	method,
@@ -207,7 +304,7 @@ function make_requestor(
 	request_data,
 	query_string = "",
 	path,
-	resource_id // Only expected as arg when adding metafields to resource.
+	resource_id // Only expected as arg when the id is not in request_data, e.g. a theme id.
 ) {
 	resource_type = resource_type.toLowerCase();
 	//  Determine if we are uploading a json object, as opposed to querying
@@ -215,10 +312,10 @@ function make_requestor(
 	const is_upload = (method === "POST" || method === "PUT");
 
 	if (resource_type === "asset") {
-		if (!is_upload) {
+		if (!is_upload && request_data) {
 			query_string = `?asset[key]=${request_data["asset"].key}`;
 		}
-	} else if (!resource_type.includes("/metafield") && (method === "POST" || method === "PUT")) {
+	} else if (method === "POST" || method === "PUT") {
 		resource_id = request_data[resource_type].id;
 	}
 
@@ -226,70 +323,53 @@ function make_requestor(
 
 	return function requestor(cb, data) {
 		try {
-			const responseData = [];
-
-			const make_request = function () {
-				add_request_to_bucket();
-				const request = https.request(options, function (response) {
-					response.on("data", function (d) {
-						responseData.push(d);
-					});
-					response.on("end", function (err) {
-						if (err) throw err;
-
-						if (response.statusCode.toString()[0] !== "2") {
-							log("Error", {
-                                options: options,
-                                requestData: JSON.stringify(request_data),
-								statusCode: response.statusCode,
-								statusMessage: response.statusMessage,
-								responseBody: responseData.join("")
-							});
-							return cb(null, "Request failed");
-						}
-
-						if (method === "GET") {
-							const headerLink = response.headers.link;
-							const regex = /<|>/g;
-							if (headerLink && headerLink.includes("rel=\"next\"")) {
-								const headerLinkParts = headerLink.split(regex);
-								data.next = (
-									headerLink.includes("rel=\"previous\"")
-									? headerLinkParts[3]
-									: headerLinkParts[1]
-								);
-							} else {
-								data.next = null;
-							}
-							data.results = responseData.join("");
-						}
-
-						return cb(data);
-					});
-				});
-				request.on("error", function (err) {
-					if (err) {
-						log("Error", err);
+			send_request(options, {
+				body: is_upload ? JSON.stringify(request_data) : undefined,
+				is_repeatable: method !== "POST",
+				max_attempts: max_attempts,
+				name: `${options.method} ${options.path}`,
+				schedule: schedule_request,
+				on_settled: function (response) {
+					if (response) {
+						return sync_bucket(response.headers["x-shopify-shop-api-call-limit"]);
 					}
-				});
-				if (method === "PUT" || method === "POST") {
-					request.write(JSON.stringify(request_data));
+					in_flight = Math.max(0, in_flight - 1);
 				}
-				request.end();
-			};
-
-			if (overflow.length === 0 && request_count < bucket_limit) { //  bucket is not full
-				if (!is_polling) {
-					start_polling();
+			}, function (response, reason) {
+				if (response === null) {
+					return cb(null, "Request failed: " + reason);
 				}
-				make_request();
-			} else { //  bucket is full
-				overflow.push(make_request);
-				if (!is_throttling) {
-					return start_throttling();
+				if (response.status.toString()[0] !== "2") {
+					data.status_code = response.status;
+					log("Error", {
+						options: options,
+						requestData: JSON.stringify(request_data),
+						statusCode: response.status,
+						statusMessage: response.status_message,
+						responseBody: response.body,
+						attempts: response.attempts
+					});
+					return cb(null, "Request failed: " + response.status + " " + response.status_message + response_errors(response.body));
 				}
-			}
 
+				if (method === "GET") {
+					const headerLink = response.headers.link;
+					const regex = /<|>/g;
+					if (headerLink && headerLink.includes("rel=\"next\"")) {
+						const headerLinkParts = headerLink.split(regex);
+						data.next = (
+							headerLink.includes("rel=\"previous\"")
+							? headerLinkParts[3]
+							: headerLinkParts[1]
+						);
+					} else {
+						data.next = null;
+					}
+				}
+				data.results = response.body;
+
+				return cb(data);
+			});
 		} catch (exception) {
 			return cb(null, "requestor " + exception);
 		}
@@ -311,84 +391,80 @@ function delete_file(key) {
 }
 
 
-//  1.  Makes a GET request to a Shopify store page.
-//  2.  Unzip the response stream and write it to ../store_page_content.html.
-//  3.  When our write stream emits the finished event, call the next function.
-function get_shopify_page_html(req_path="/", is_redirect, location) {
-	return function get_shopify_page_html_requestor(cb, data) {
+// @param {string} key - e.g. "assets/my-font.woff2" or "templates/product.liquid".
+// @param {string=} target_theme_id - Defaults to the current theme's id.
+// Sets data.asset to the asset object, which contains either a value property
+// (text files) or an attachment property (base64 encoded binary files).
+function download_asset(key, target_theme_id) {
+	return function download_asset_requestor(cb, data) {
 		try {
-			let hostname;
-			if (is_redirect === true) {
-				location = location.replace("https://", "");
-				hostname = (
-					location.includes("/")
-					? location.split("/")[0]
-					: location
-				);
-			} else {
-				hostname = (
-					data.auth.store_preview_url !== undefined
-					? data.auth.store_preview_url
-					: data.auth.store_url
-				);
-			}
-			const options = {
-				method: "GET",
-				hostname: hostname,
-				path: req_path,
-				port: 443,
-				headers: {
-					"cache-control": "no-cache",
-					"Connection": "keep-alive",
-					"Accept-Encoding": "gzip, deflate",
-					"Host": hostname,
-					"Cache-Control": "no-cache",
-					"Accept": "*/*",
-					"User-Agent": "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/79.0.3945.88 Safari/537.36"
-				}
-			};
-			const request = https.request(options, function (response) {
-				if (response.statusCode === 301 || response.statusCode === 302) {
-					const location_header = response.headers.location;
-					const new_path = location_header.substring(location_header.indexOf(".com") + 4);
-					return get_shopify_page_html(new_path, true, location_header)(cb, data);
-				} else {
-					const output_path = Path.join(
-						data.paths.base,
-						"node_modules",
-						"shopify_dev_utils",
-						"store_page_content.html"
-					);
-					const output = fs.createWriteStream(output_path);
-					output.on("finish", function () {
+			const request_data = { "asset": { "key": key } };
+			return make_requestor("GET", "Asset", request_data, undefined, undefined, target_theme_id)(
+				function (data, reason) {
+					if (data === null) {
+						return cb(null, reason);
+					}
+					data.asset = JSON.parse(data.results.toString()).asset;
+					return cb(data);
+				},
+				data
+			);
+		} catch (exception) {
+			return cb(null, "download_asset " + exception);
+		}
+	};
+}
+
+
+// Sets data.assets to an array describing every asset in the theme, e.g.
+// { key, checksum, content_type, size, updated_at }. The asset contents are
+// not included, use download_asset() to retrieve them.
+// @param {string=} target_theme_id - Defaults to the current theme's id.
+function download_asset_list(fields, target_theme_id) {
+	return function download_asset_list_requestor(cb, data) {
+		try {
+			const query_string = fields ? `?fields=${fields}` : "";
+			return make_requestor("GET", "Asset", undefined, query_string, undefined, target_theme_id)(
+				function (data, reason) {
+					if (data === null) {
+						return cb(null, reason);
+					}
+					data.assets = JSON.parse(data.results.toString()).assets;
+					return cb(data);
+				},
+				data
+			);
+		} catch (exception) {
+			return cb(null, "download_asset_list " + exception);
+		}
+	};
+}
+
+
+// Sets data.asset to the asset's { key, checksum, updated_at }, without its contents,
+// or to null if the asset does not exist.
+// @param {string} key - e.g. "templates/product.liquid".
+function download_asset_state(key, target_theme_id) {
+	return function download_asset_state_requestor(cb, data) {
+		try {
+			const query_string = `?asset[key]=${key}&fields=key,checksum,updated_at`;
+			const response = Object.create(null);
+			return make_requestor("GET", "Asset", undefined, query_string, undefined, target_theme_id)(
+				function (d, reason) {
+					if (d === null) {
+						if (response.status_code !== 404) {
+							return cb(null, reason);
+						}
+						data.asset = null;
 						return cb(data);
-					});
-//  Could we pipe output to the browser and just remove the zipping functionality?
-//  For now, maybe it's best to just make sure we can do it using a slower method.
-					switch (response.headers["content-encoding"]) {
-						case "br":
-							response
-								.pipe(zlib.createBrotliDecompress())
-								.pipe(output);
-							break;
-						case "gzip":
-						case "deflate":
-							response
-								.pipe(zlib.createUnzip())
-								.pipe(output);
-							break;
-						default:
-							response.pipe(output);
-							break;
 					}
-				}
-			});
-			request.on("error", function (error) {
-				throw error;
-			});
-			request.end();
+					data.asset = JSON.parse(d.results.toString()).asset;
+					return cb(data);
+				},
+				response
+			);
 		} catch (exception) {
-			return cb(null, exception);
+			return cb(null, "download_asset_state " + exception);
 		}
 	};
 }
@@ -419,8 +495,12 @@ function upload_file(
 				);
 				make_requestor("PUT", "Asset", request_data)(
 					function (data, reason) {
-						if (data !== null && logResult) {
-							log("Uploaded", key);
+						if (data !== null) {
+							// The updated asset, excluding its content.
+							data.asset = JSON.parse(data.results || "{}").asset;
+							if (logResult) {
+								log("Uploaded", key);
+							}
 						}
 						if (sync) {
 							return cb(data, reason);
@@ -443,31 +523,437 @@ function upload_file(
 }
 
 
-//  read_from and write_to are arrays of strings.
+//  readWriteMap is a map from local file paths to asset keys.
+//  Sets data.uploaded and data.failed to arrays of the keys which were, and were not,
+//  uploaded successfully.  A failed upload does not stop the remaining uploads.
+//  data.uploaded_assets is set to the asset objects returned for the uploaded keys.
 function upload_files(readWriteMap) {
 	return function upload_files_requestor(cb, data) {
 		try {
             if (readWriteMap === undefined) {
                 readWriteMap = data.readWriteMap;
             }
+			data.uploaded = [];
+			data.uploaded_assets = [];
+			data.failed = [];
+			if (readWriteMap.size === 0) {
+				return cb(data);
+			}
 			const requestors = [];
 			for (let [readPath, writeKey] of readWriteMap) {
 				const format = Path.parse(readPath).ext;
 				const isBinary = non_string_formats.includes(format);
-				requestors.push(
-					upload_file(readPath, writeKey, isBinary, true, true)
-				);
+				requestors.push(function upload_files_item_requestor(cb) {
+					upload_file(readPath, writeKey, isBinary, true, true)(
+						function (d) {
+							if (d === null) {
+								data.failed.push(writeKey);
+							} else {
+								data.uploaded.push(writeKey);
+								if (d.asset) {
+									data.uploaded_assets.push(d.asset);
+								}
+							}
+							return cb();
+						},
+						Object.create(null)
+					);
+				});
 			}
-			run_async(requestors, cb, Object.create(data));
+			run_async(requestors, function () {
+				return cb(data);
+			}, Object.create(data));
 		} catch (exception) {
 			return cb(null, exception);
 		}
 	};
 }
 
+// Sets data.themes to an array of the store's themes, e.g.
+// { id, name, role, previewable, processing, created_at, updated_at }, where role
+// is one of "main" (the published theme), "unpublished", "demo" or "development".
+function download_themes() {
+	return function download_themes_requestor(cb, data) {
+		try {
+			return make_requestor("GET", "theme")(
+				function (data, reason) {
+					if (data === null) {
+						return cb(null, reason);
+					}
+					data.themes = JSON.parse(data.results.toString()).themes;
+					return cb(data);
+				},
+				data
+			);
+		} catch (exception) {
+			return cb(null, "download_themes " + exception);
+		}
+	};
+}
+
+
+// Creates a theme, and sets data.theme to it.
+// @param {string} name - The theme's name, as shown in the admin.
+// @param {string=} src - (optional) The URL of a zip file to create the theme from.
+// @param {string=} role - (optional) "unpublished" (the default), or "development" for
+//  a theme which is only used for development, and can never be published.
+function create_theme(name, src, role = "unpublished") {
+	return function create_theme_requestor(cb, data) {
+		try {
+			const request_data = { "theme": { "name": name, "role": role } };
+			if (src) {
+				request_data.theme.src = src;
+			}
+			return make_requestor("POST", "theme", request_data)(
+				function (data, reason) {
+					if (data === null) {
+						return cb(null, reason);
+					}
+					data.theme = JSON.parse(data.results.toString()).theme;
+					return cb(data);
+				},
+				data
+			);
+		} catch (exception) {
+			return cb(null, "create_theme " + exception);
+		}
+	};
+}
+
+
+// Makes the theme the store's published (main) theme, and sets data.theme to it.
+function publish_theme(target_theme_id) {
+	return function publish_theme_requestor(cb, data) {
+		try {
+			const request_data = { "theme": { "id": target_theme_id, "role": "main" } };
+			return make_requestor("PUT", "theme", request_data)(
+				function (data, reason) {
+					if (data === null) {
+						return cb(null, reason);
+					}
+					data.theme = JSON.parse(data.results.toString()).theme;
+					return cb(data);
+				},
+				data
+			);
+		} catch (exception) {
+			return cb(null, "publish_theme " + exception);
+		}
+	};
+}
+
+
+// Note, Shopify does not allow the published theme to be deleted.
+function delete_theme(target_theme_id) {
+	return function delete_theme_requestor(cb, data) {
+		try {
+			return make_requestor("DELETE", "theme", undefined, "", undefined, target_theme_id)(cb, data);
+		} catch (exception) {
+			return cb(null, "delete_theme " + exception);
+		}
+	};
+}
+
+
+// Copies every asset of the source theme into the theme whose id is data.theme.id
+// (e.g. the theme created by create_theme()).
+// Assets are uploaded one directory at a time, in an order which ensures that
+// the files an asset depends on (e.g. the sections a template references) exist
+// before it is uploaded.  Sets data.copied and data.failed to arrays of keys.
+function copy_theme_assets(source_theme_id) {
+	const upload_order = [
+		"assets/",
+		"config/settings_schema.json",
+		"locales/",
+		"snippets/",
+		"sections/",
+		"layout/",
+		"templates/",
+		"config/"
+	];
+
+	return function copy_theme_assets_requestor(cb, data) {
+		try {
+			const destination_theme_id = data.theme.id;
+			data.copied = [];
+			data.failed = [];
+
+			const copy_asset = function (key) {
+				return function copy_asset_requestor(cb) {
+					download_asset(key, source_theme_id)(function (d, reason) {
+						if (d === null) {
+							data.failed.push(key);
+							log("Error", key + " " + reason);
+							return cb();
+						}
+						const request_data = { "asset": { "key": key } };
+						if (d.asset.attachment !== undefined) {
+							request_data.asset.attachment = d.asset.attachment;
+						} else {
+							request_data.asset.value = d.asset.value;
+						}
+						make_requestor(
+							"PUT",
+							"Asset",
+							request_data,
+							undefined,
+							undefined,
+							destination_theme_id
+						)(function (d) {
+							if (d === null) {
+								data.failed.push(key);
+							} else {
+								data.copied.push(key);
+								log("Copied", key);
+							}
+							return cb();
+						}, Object.create(null));
+					}, Object.create(null));
+				};
+			};
+
+			download_asset_list("key", source_theme_id)(function (d, reason) {
+				if (d === null) {
+					return cb(null, reason);
+				}
+				const groups = upload_order.map(() => []);
+				d.assets.forEach(function (asset) {
+					const index = upload_order.findIndex(prefix => asset.key.startsWith(prefix));
+					groups[(index === -1) ? groups.length - 1 : index].push(asset.key);
+				});
+				(function copy_group(index) {
+					if (index === groups.length) {
+						return cb(data);
+					}
+					if (groups[index].length === 0) {
+						return copy_group(index + 1);
+					}
+					run_async(groups[index].map(copy_asset), function () {
+						return copy_group(index + 1);
+					}, data);
+				})(0);
+			}, Object.create(null));
+		} catch (exception) {
+			return cb(null, "copy_theme_assets " + exception);
+		}
+	};
+}
+
+
 // Note:
 // Here, 'resource' refers to most resources accessible using the REST Admin API.
-// E.g. product, customer, collection, etc.
+// E.g. product, customer, custom_collection, etc.
+// The type of a resource is its singular name, which is also the key its JSON
+// object is wrapped in, e.g. { "custom_collection": { ... } }, while lists of
+// resources are wrapped in its plural, e.g. { "custom_collections": [ ... ] }.
+// Nested resources, e.g. a product's variants or an order's fulfillments, are
+// reached through their parent, given as { type: "product", id: 123 }, or an
+// array of such objects for deeper nesting.
+
+function pluralize(type) {
+	if (/[^aeiou]y$/.test(type)) {
+		return type.slice(0, -1) + "ies";
+	}
+	if (/(s|x|ch|sh)$/.test(type)) {
+		return type + "es";
+	}
+	return type + "s";
+}
+
+//  e.g. ("variant", 456, { type: "product", id: 123 }) =>
+//  "/admin/api/2020-10/products/123/variants/456.json"
+function make_resource_path(type, id, parent, query) {
+	let path = base_path;
+	[].concat(parent || []).forEach(function (ancestor) {
+		path += `/${pluralize(ancestor.type)}/${ancestor.id}`;
+	});
+	path += `/${pluralize(type)}`;
+	if (id !== undefined && id !== null) {
+		path += `/${id}`;
+	}
+	path += ".json";
+	if (query && typeof query === "object") {
+		query = new URLSearchParams(query).toString();
+	}
+	if (query) {
+		path += (query[0] === "?" ? "" : "?") + query;
+	}
+	return path;
+}
+
+//  The Link header's URLs are absolute, but request options expect a path.
+function link_to_path(link) {
+	const url = new URL(link);
+	return url.pathname + url.search;
+}
+
+function parse_results(data, key) {
+	return data.results ? JSON.parse(data.results.toString())[key] : undefined;
+}
+
+
+// Sets data.resource to the resource object.
+// @param {object=} options - (optional) { fields: "id,title", parent: { type, id } }
+function get_resource(type, id, options = {}) {
+	return function get_resource_requestor(cb, data) {
+		try {
+			const query = options.fields ? { fields: options.fields } : undefined;
+			const path = make_resource_path(type, id, options.parent, query);
+			return make_requestor("GET", type, undefined, undefined, path)(
+				function (data, reason) {
+					if (data === null) {
+						return cb(null, reason);
+					}
+					data.resource = parse_results(data, type);
+					return cb(data);
+				},
+				data
+			);
+		} catch (exception) {
+			return cb(null, "get_resource " + exception);
+		}
+	};
+}
+
+
+// Requests a single page of the resource type, and sets data.resources to the page's
+// array of resource objects, and data.next_page_path to the path of the next page,
+// or null if this is the last page.
+// @param {object=} options - See list_resources().
+// @param {string=} page_path - (optional) The next_page_path of the previous page,
+//  omit to request the first page.
+function download_resource_page(type, options = {}, page_path) {
+	return function download_resource_page_requestor(cb, data) {
+		try {
+			if (!page_path) {
+				const query = Object.assign(
+					{ limit: options.limit || 250 },
+					options.fields ? { fields: options.fields } : {},
+					(typeof options.query === "string")
+					? Object.fromEntries(new URLSearchParams(options.query))
+					: options.query
+				);
+				page_path = make_resource_path(type, undefined, options.parent, query);
+			}
+			return make_requestor("GET", type, undefined, undefined, page_path)(
+				function (d, reason) {
+					if (d === null) {
+						return cb(null, reason);
+					}
+					const page = parse_results(d, pluralize(type));
+					if (!Array.isArray(page)) {
+						return cb(null, "Expected response to contain an array of objects, instead returned " + d.results);
+					}
+					data.resources = page;
+					data.next_page_path = d.next ? link_to_path(d.next) : null;
+					return cb(data);
+				},
+				Object.create(null)
+			);
+		} catch (exception) {
+			return cb(null, "download_resource_page " + exception);
+		}
+	};
+}
+
+
+// Requests every page of the resource type, and sets data.resources to an array
+// of every resource object.
+// @param {object=} options - (optional)
+//  fields {string} - e.g. "id,tags".
+//  query {object|string} - Additional query parameters, e.g. { status: "active" }.
+//  limit {number} - The page size, defaults to 250 (the maximum).
+//  parent {object|array} - See the note above.
+//  on_page {function} - Called with each page's array of resources.  When given, the
+//   resources are not accumulated in data.resources.
+function list_resources(type, options = {}) {
+	return function list_resources_requestor(cb, data) {
+		try {
+			const resources = [];
+			(function request_page(page_path) {
+				download_resource_page(type, options, page_path)(
+					function (d, reason) {
+						if (d === null) {
+							return cb(null, reason);
+						}
+						if (options.on_page) {
+							options.on_page(d.resources);
+						} else {
+							resources.push(...d.resources);
+						}
+						if (d.next_page_path) {
+							return request_page(d.next_page_path);
+						}
+						data.resources = resources;
+						return cb(data);
+					},
+					Object.create(null)
+				);
+			})();
+		} catch (exception) {
+			return cb(null, "list_resources " + exception);
+		}
+	};
+}
+
+
+// Sets data.resource to the created resource object.
+// @param {object=} options - (optional) { parent: { type, id } }
+function create_resource(type, object, options = {}) {
+	return function create_resource_requestor(cb, data) {
+		try {
+			const path = make_resource_path(type, undefined, options.parent);
+			return make_requestor("POST", type, { [type]: object }, undefined, path)(
+				function (data, reason) {
+					if (data === null) {
+						return cb(null, reason);
+					}
+					data.resource = parse_results(data, type);
+					return cb(data);
+				},
+				data
+			);
+		} catch (exception) {
+			return cb(null, "create_resource " + exception);
+		}
+	};
+}
+
+
+// @param {object} object - The fields to update, including the resource's id.
+// Sets data.resource to the updated resource object.
+function update_resource(type, object, options = {}) {
+	return function update_resource_requestor(cb, data) {
+		try {
+			const path = make_resource_path(type, object.id, options.parent);
+			return make_requestor("PUT", type, { [type]: object }, undefined, path)(
+				function (data, reason) {
+					if (data === null) {
+						return cb(null, reason);
+					}
+					data.resource = parse_results(data, type);
+					return cb(data);
+				},
+				data
+			);
+		} catch (exception) {
+			return cb(null, "update_resource " + exception);
+		}
+	};
+}
+
+
+function delete_resource(type, id, options = {}) {
+	return function delete_resource_requestor(cb, data) {
+		try {
+			const path = make_resource_path(type, id, options.parent);
+			return make_requestor("DELETE", type, undefined, undefined, path)(cb, data);
+		} catch (exception) {
+			return cb(null, "delete_resource " + exception);
+		}
+	};
+}
+
 
 function download_resource(type, fields, query_string) {
 
@@ -479,41 +965,23 @@ function download_resource(type, fields, query_string) {
 // an array containing an object for each product, where each object has properties
 // 'id' and 'tags'.
 
-    const resources = [];
-
-    let pageNum = 1;
-
-    if (query_string === undefined) {
-        query_string = `?limit=250&fields=${fields}`;
-    }
-
-    return function download_resource_requestor(cb, path) {
+    return function download_resource_requestor(cb) {
         try {
-			return make_requestor(
-				"GET",
-				type, // resource type
-				undefined, // request data
-				query_string, // should include "?"
-				path
-			)(function done(data, reason) {
+			let pageNum = 0;
+			const resources = [];
+			return list_resources(type, {
+				fields: fields,
+				query: query_string,
+				on_page: function (page) {
+					pageNum += 1;
+					log("Downloaded", `${type}s page ${pageNum}, ${page.length} ${type}s`);
+					resources.push(...page);
+				}
+			})(function done(data, reason) {
 				if (data === null) {
 					return cb(null, reason);
 				}
-                console.log("Received page " + pageNum);
-                pageNum += 1;
-				let results = JSON.parse(data.results.toString())[type + "s"];
-				if (results) {
-                    if (Array.isArray(results)) {
-                        resources.push(...results);
-                    } else {
-                        log("Error", "Expected response to contain an array of objects, instead returned" + JSON.stringify(results));
-                    }
-                }
-				return (
-					data.next
-					? download_resource_requestor(cb, data.next)
-					: cb(resources)
-				);
+				return cb(resources);
 			}, Object.create(null));
         } catch (exception) {
             return cb(null, exception);
@@ -521,30 +989,209 @@ function download_resource(type, fields, query_string) {
     };
 }
 
-function upload_resource(type, json_objects, method) {
+// @param {object|array} json_objects - A single resource object, or an array of them.
+// @param {string} method - "POST" to create the resources, or "PUT" to update them.
+function upload_resource(type, json_objects, method = "POST") {
     return function upload_resource_requestor(cb, data) {
         try {
+			const upload = (method === "PUT") ? update_resource : create_resource;
+			// Objects may already be wrapped, e.g. { product: { ... } }.
             if (!Array.isArray(json_objects)) {
-                return make_requestor("POST", "product", json_objects)(cb, data);
+                return upload(type, json_objects[type] || json_objects)(cb, data);
             }
-            const requestors = json_objects.map(function (object) {
-                return make_requestor(
-                    method,
-                    "product", // resource type
-                    { product: object } // request data
-                );
+            // Sets data.resources to the uploaded resource objects, in the same order.
+            const resources = [];
+            const requestors = json_objects.map((object, index) => function (cb) {
+                return upload(type, object[type] || object)(function (d, reason) {
+                    if (d !== null) {
+                        resources[index] = d.resource;
+                    }
+                    return cb(d, reason);
+                }, Object.create(null));
             });
-            return run_async(requestors, cb, Object.create(null));
+            let failed = false;
+            return run_async(requestors, function (ok, reason) {
+                if (failed) {
+                    return;
+                }
+                if (ok === null) {
+                    failed = true;
+                    return cb(null, reason);
+                }
+                data.resources = resources;
+                return cb(data);
+            }, data);
         } catch (exception) {
             return cb(null, exception);
         }
     };
 }
 
+// Note:
+// Webhook subscriptions are resources like any other, e.g.
+// { id: 1, topic: "orders/create", address: "https://example.com/webhooks", format: "json" },
+// but only those created by the app whose credentials are used are visible to it.
+
+// Sets data.webhooks to every webhook subscription.
+// @param {object=} options - (optional) e.g. { query: { topic: "orders/create" } }
+function list_webhooks(options = {}) {
+	return function list_webhooks_requestor(cb, data) {
+		try {
+			return list_resources("webhook", options)(function (d, reason) {
+				if (d === null) {
+					return cb(null, reason);
+				}
+				data.webhooks = d.resources;
+				return cb(data);
+			}, Object.create(null));
+		} catch (exception) {
+			return cb(null, "list_webhooks " + exception);
+		}
+	};
+}
+
+// @param {object} webhook - e.g. { topic: "orders/create", address: "https://..." }
+// Sets data.webhook to the created subscription.
+function create_webhook(webhook) {
+	return function create_webhook_requestor(cb, data) {
+		try {
+			const subscription = Object.assign({ format: "json" }, webhook);
+			return create_resource("webhook", subscription)(function (d, reason) {
+				if (d === null) {
+					return cb(null, reason);
+				}
+				data.webhook = d.resource;
+				return cb(data);
+			}, Object.create(null));
+		} catch (exception) {
+			return cb(null, "create_webhook " + exception);
+		}
+	};
+}
+
+// @param {object} webhook - The fields to update, including the subscription's id.
+// Sets data.webhook to the updated subscription.
+function update_webhook(webhook) {
+	return function update_webhook_requestor(cb, data) {
+		try {
+			return update_resource("webhook", webhook)(function (d, reason) {
+				if (d === null) {
+					return cb(null, reason);
+				}
+				data.webhook = d.resource;
+				return cb(data);
+			}, Object.create(null));
+		} catch (exception) {
+			return cb(null, "update_webhook " + exception);
+		}
+	};
+}
+
+function delete_webhook(id) {
+	return delete_resource("webhook", id);
+}
+
+
+// e.g. (["id", "email"], ["email", "id"]) => true
+function same_fields(a, b) {
+	return JSON.stringify((a || []).slice().sort()) === JSON.stringify((b || []).slice().sort());
+}
+
+// Make the store's webhook subscriptions match the given list, creating the missing
+// subscriptions, updating those whose format or fields differ, and deleting the rest.
+// A subscription matches one in the list if its topic and address are the same.
+// Sets data.created, data.updated, data.deleted and data.unchanged to arrays of
+// subscriptions.
+// @param {array} subscriptions - e.g.
+//  [{ topic: "orders/create", address: "https://example.com/webhooks", fields: ["id"] }]
+// @param {object=} options - (optional)
+//  prune {boolean} - Delete subscriptions which are not in the list, defaults to true.
+//  dry_run {boolean} - Log the changes which would be made, without making them.
+function sync_webhooks(subscriptions, options = {}) {
+	return function sync_webhooks_requestor(cb, data) {
+		try {
+			const prune = (options.prune !== false);
+			const desired = subscriptions.map(subscription => Object.assign({ format: "json" }, subscription));
+			return list_webhooks()(function (d, reason) {
+				if (d === null) {
+					return cb(null, reason);
+				}
+				const existing = d.webhooks;
+				const created = [];
+				const updated = [];
+				const deleted = [];
+				const unchanged = [];
+				const requestors = [];
+
+				desired.forEach(function (subscription) {
+					const match = existing.find(
+						webhook => webhook.topic === subscription.topic && webhook.address === subscription.address
+					);
+					if (match === undefined) {
+						created.push(subscription);
+						requestors.push(create_webhook(subscription));
+					} else if (
+						match.format !== subscription.format
+						|| (subscription.fields !== undefined && !same_fields(match.fields, subscription.fields))
+					) {
+						const changes = Object.assign({}, subscription, { id: match.id });
+						updated.push(changes);
+						requestors.push(update_webhook(changes));
+					} else {
+						unchanged.push(match);
+					}
+				});
+				if (prune) {
+					existing.forEach(function (webhook) {
+						const is_desired = desired.some(
+							subscription => subscription.topic === webhook.topic && subscription.address === webhook.address
+						);
+						if (!is_desired) {
+							deleted.push(webhook);
+							requestors.push(delete_webhook(webhook.id));
+						}
+					});
+				}
+
+				const report = function () {
+					const describe = webhook => `webhook ${webhook.topic} -> ${webhook.address}`;
+					const prefix = options.dry_run ? "Would Have " : "";
+					created.forEach(webhook => log(prefix + "Created", describe(webhook)));
+					updated.forEach(webhook => log(prefix + "Updated", describe(webhook)));
+					deleted.forEach(webhook => log(prefix + "Deleted", describe(webhook)));
+					data.created = created;
+					data.updated = updated;
+					data.deleted = deleted;
+					data.unchanged = unchanged;
+					return cb(data);
+				};
+				if (options.dry_run || requestors.length === 0) {
+					return report();
+				}
+				let failed = false;
+				return run_async(requestors, function (ok, reason) {
+					if (failed) {
+						return;
+					}
+					if (ok === null) {
+						failed = true;
+						return cb(null, reason);
+					}
+					return report();
+				}, Object.create(null));
+			}, Object.create(null));
+		} catch (exception) {
+			return cb(null, "sync_webhooks " + exception);
+		}
+	};
+}
+
+
 function download_products(query_string) {
 	return function download_products_requestor(cb, data) {
 		try {
-			return make_requestor("GET", "Product", null, query_string)(cb, data);
+			const path = make_resource_path("product", undefined, undefined, query_string);
+			return make_requestor("GET", "product", undefined, undefined, path)(cb, data);
 		} catch (exception) {
 			return cb(null, exception);
 		}
@@ -554,133 +1201,260 @@ function download_products(query_string) {
 // @param1 {object|array} json_objects  -  Can be a single product object to upload,
 //  or an array of them.
 function upload_products(json_objects) {
-	return function upload_products_requestor(cb, data) {
-		try {
-			if (!Array.isArray(json_objects)) {
-				return make_requestor("POST", "product", json_objects)(cb, data);
-			}
-			const requestors = json_objects.map(object => make_requestor("POST", "product", object));
-			run_async(requestors, cb, data);
-		} catch (exception) {
-			return cb(null, exception);
-		}
-	};
+	return upload_resource("product", json_objects, "POST");
 }
 
 // Download all customers
 function download_customers(fields) {
-	const customers = [];
+	return download_resource("customer", fields);
+}
 
-	return function download_customers_requestor(cb, path) {
+
+function download_customer(id, fields) {
+	return function download_customer_requestor(cb) {
 		try {
-			const data = Object.create(null);
-
-			return make_requestor(
-				"GET",
-				"customer",
-				null,
-				`?limit=250&fields=${fields}`, // HARDCODED SINCE ID FOR ONE TIME USE
-				path
-			)(
+			return get_resource("customer", id, { fields: fields })(
 				function (data, reason) {
 					if (data === null) {
 						return cb(null, reason);
 					}
-					var customersToAdd = JSON.parse(data.results.toString()).customers;
-					console.log("results", customersToAdd.length);
-					if (customersToAdd) {
-						customers.push(...customersToAdd);
+					return cb(data.resource);
+				},
+				Object.create(null)
+			);
+		} catch (exception) {
+			return cb(null, exception);
+		}
+	};
+}
+
+// Note:
+// Metafields belong to an owner, which is given as { type: "customer", id: 123 },
+// an array of such objects for nested owners, e.g.
+// [{ type: "product", id: 1 }, { type: "variant", id: 2 }], or "shop" for the
+// store's own metafields.  Values are sent and received as strings, so they are
+// encoded according to the metafield's type (or value_type, in older API versions)
+// before uploading, and every downloaded metafield is given a parsed_value property,
+// e.g. a number for "number_integer", an object for "json", or a GID string such as
+// "gid://shopify/Product/123" for "product_reference".
+
+function metafield_parent(owner) {
+	return (!owner || owner === "shop") ? undefined : owner;
+}
+
+// e.g. "product_reference" => "Product", "variant_reference" => "ProductVariant"
+function reference_gid(type, value) {
+	if (typeof value === "string" && value.startsWith("gid://")) {
+		return value;
+	}
+	const name = type.replace(/^list\./, "").replace(/_reference$/, "");
+	const gid_type = (name === "variant") ? "ProductVariant" : name.split("_").map(
+		part => part[0].toUpperCase() + part.slice(1)
+	).join("");
+	return `gid://shopify/${gid_type}/${value}`;
+}
+
+function encode_metafield_value(metafield) {
+	const type = metafield.type || metafield.value_type || "";
+	const value = metafield.value;
+	if (value === undefined || value === null || typeof value === "string") {
+		return metafield;
+	}
+	let encoded;
+	if (type.startsWith("list.")) {
+		encoded = JSON.stringify(
+			type.endsWith("_reference")
+			? value.map(item => reference_gid(type, item))
+			: value
+		);
+	} else if (type.endsWith("_reference")) {
+		encoded = reference_gid(type, value);
+	} else if (type === "integer") {
+		// The legacy integer value_type expects a number, not a string.
+		encoded = value;
+	} else if (typeof value === "object") {
+		encoded = JSON.stringify(value);
+	} else {
+		encoded = String(value);
+	}
+	return Object.assign({}, metafield, { value: encoded });
+}
+
+function decode_metafield_value(metafield) {
+	const type = metafield.type || metafield.value_type || "";
+	const value = metafield.value;
+	try {
+		if (typeof value !== "string") {
+			metafield.parsed_value = value;
+		} else if (type === "json" || type === "json_string" || type.startsWith("list.")
+			|| type === "dimension" || type === "volume" || type === "weight"
+			|| type === "rating" || type === "money") {
+			metafield.parsed_value = JSON.parse(value);
+		} else if (type === "number_integer" || type === "integer") {
+			metafield.parsed_value = parseInt(value, 10);
+		} else if (type === "number_decimal") {
+			metafield.parsed_value = parseFloat(value);
+		} else if (type === "boolean") {
+			metafield.parsed_value = (value === "true");
+		} else {
+			metafield.parsed_value = value;
+		}
+	} catch (ignore) {
+		metafield.parsed_value = value;
+	}
+	return metafield;
+}
+
+
+// Sets data.metafields to the owner's metafields, across every page.
+// @param {object=} options - (optional)
+//  namespace {string} - Only return metafields in this namespace.
+//  key {string} - Only return metafields with this key.
+//  fields {string} - e.g. "id,namespace,key,value".
+//  on_page {function} - Called with each page's array of metafields.  When given, the
+//   metafields are not accumulated in data.metafields.
+function list_metafields(owner, options = {}) {
+	return function list_metafields_requestor(cb, data) {
+		try {
+			const query = Object.assign(
+				{},
+				options.namespace ? { namespace: options.namespace } : {},
+				options.key ? { key: options.key } : {}
+			);
+			return list_resources("metafield", {
+				parent: metafield_parent(owner),
+				fields: options.fields,
+				query: query,
+				on_page: options.on_page && function (page) {
+					return options.on_page(page.map(decode_metafield_value));
+				}
+			})(function (d, reason) {
+				if (d === null) {
+					return cb(null, reason);
+				}
+				data.metafields = d.resources.map(decode_metafield_value);
+				return cb(data);
+			}, Object.create(null));
+		} catch (exception) {
+			return cb(null, "list_metafields " + exception);
+		}
+	};
+}
+
+
+// Sets data.metafield to the metafield.
+function get_metafield(owner, id) {
+	return function get_metafield_requestor(cb, data) {
+		try {
+			return get_resource("metafield", id, { parent: metafield_parent(owner) })(
+				function (d, reason) {
+					if (d === null) {
+						return cb(null, reason);
 					}
+					data.metafield = d.resource && decode_metafield_value(d.resource);
+					return cb(data);
+				},
+				Object.create(null)
+			);
+		} catch (exception) {
+			return cb(null, "get_metafield " + exception);
+		}
+	};
+}
 
-					return (
-						data.next
-						? download_customers_requestor(cb, data.next)
-						: cb(customers)
+
+// Sets data.metafield to the owner's metafield with the given namespace and key, or
+// undefined if it does not have one.
+function find_metafield(owner, namespace, key) {
+	return function find_metafield_requestor(cb, data) {
+		try {
+			return list_metafields(owner, { namespace: namespace, key: key })(
+				function (d, reason) {
+					if (d === null) {
+						return cb(null, reason);
+					}
+					data.metafield = d.metafields.find(
+						metafield => metafield.namespace === namespace && metafield.key === key
 					);
+					return cb(data);
 				},
-				data
+				Object.create(null)
 			);
-
 		} catch (exception) {
-			return cb(null, exception);
+			return cb(null, "find_metafield " + exception);
 		}
 	};
 }
 
 
-function download_customer(id, fields) {
-	return function download_customer_requestor(cb) {
+// @param {object} metafield - e.g.
+//  { namespace: "loyalty", key: "points", type: "number_integer", value: 120 }
+// Sets data.metafield to the created metafield.
+function create_metafield(owner, metafield) {
+	return function create_metafield_requestor(cb, data) {
 		try {
-			const data = Object.create(null);
-			return make_requestor(
-				"GET",
-				"customer",
-				{ "customer": { "id": id } },
-				`?fields=${fields}`
-			)(
-				function (data, reason) {
-					if (data === null) {
+			const parent = metafield_parent(owner);
+			return create_resource("metafield", encode_metafield_value(metafield), { parent: parent })(
+				function (d, reason) {
+					if (d === null) {
 						return cb(null, reason);
 					}
-					const customer = JSON.parse(data.results.toString()).customer;
-					return cb(customer);
+					data.metafield = d.resource && decode_metafield_value(d.resource);
+					return cb(data);
 				},
-				data
+				Object.create(null)
 			);
 		} catch (exception) {
-			return cb(null, exception);
+			return cb(null, "create_metafield " + exception);
 		}
 	};
 }
 
-function download_metafields(resource_type, resource_id) {
-	return function download_metafields_requestor(cb) {
+
+// @param {object} metafield - The fields to update, including the metafield's id.
+// Sets data.metafield to the updated metafield.
+function update_metafield(owner, metafield) {
+	return function update_metafield_requestor(cb, data) {
 		try {
-			const data = Object.create(null);
-			return make_requestor(
-				"GET",
-				resource_type + "/metafield",
-				undefined,
-				"?limit=250&" + "namespace=customer_tags",
-				undefined,
-				resource_id
-			)(
-				function done(data, reason) {
-					if (data === null) {
+			const parent = metafield_parent(owner);
+			return update_resource("metafield", encode_metafield_value(metafield), { parent: parent })(
+				function (d, reason) {
+					if (d === null) {
 						return cb(null, reason);
 					}
-					const metafields = JSON.parse(data.results.toString()).metafields;
-					return cb(metafields);
+					data.metafield = d.resource && decode_metafield_value(d.resource);
+					return cb(data);
 				},
-				data
+				Object.create(null)
 			);
 		} catch (exception) {
-			return cb(null, exception);
+			return cb(null, "update_metafield " + exception);
 		}
 	};
 }
 
-function upload_metafield(resource_type, resource_id, request_body) {
-	return function upload_metafield_requestor(cb) {
+
+function delete_metafield(owner, id) {
+	return delete_resource("metafield", id, { parent: metafield_parent(owner) });
+}
+
+
+// Calls back with an array of the resource's metafields, optionally only those
+// in the given namespace.  A resource_type of "shop" returns the shop's metafields.
+function download_metafields(resource_type, resource_id, namespace) {
+	return function download_metafields_requestor(cb) {
 		try {
-			const data = Object.create(null);
-
-			return make_requestor(
-				"POST",
-				resource_type + "/metafield",
-				request_body,
-				undefined,
-				undefined,
-				resource_id
-			)(
+			const owner = (resource_type === "shop" || !resource_id)
+				? "shop"
+				: { type: resource_type, id: resource_id };
+			return list_metafields(owner, { namespace: namespace })(
 				function done(data, reason) {
 					if (data === null) {
 						return cb(null, reason);
 					}
-					// const metafields = JSON.parse(data.results.toString()).metafields;
-					return cb();
+					return cb(data.metafields);
 				},
-				data
+				Object.create(null)
 			);
 		} catch (exception) {
 			return cb(null, exception);
@@ -688,19 +1462,64 @@ function upload_metafield(resource_type, resource_id, request_body) {
 	};
 }
 
+// @param {object} request_body - e.g. { metafield: { namespace, key, value, type } }.
+//  The metafield is updated if it has an id, and created otherwise.
+function upload_metafield(resource_type, resource_id, request_body) {
+	return function upload_metafield_requestor(cb, data) {
+		try {
+			const owner = (resource_type === "shop" || !resource_id)
+				? "shop"
+				: { type: resource_type, id: resource_id };
+			const metafield = request_body.metafield || request_body;
+			const upload = metafield.id ? update_metafield : create_metafield;
+			return upload(owner, metafield)(cb, data || Object.create(null));
+		} catch (exception) {
+			return cb(null, exception);
+		}
+	};
+}
+
 
 exports.delete_file = delete_file;
-exports.get_shopify_page_html = get_shopify_page_html;
+exports.download_asset = download_asset;
+exports.download_asset_list = download_asset_list;
+exports.download_asset_state = download_asset_state;
+exports.get_bucket_state = get_bucket_state;
 exports.init = init;
 exports.upload_file = upload_file;
 exports.upload_files = upload_files;
 
+exports.copy_theme_assets = copy_theme_assets;
+exports.create_theme = create_theme;
+exports.delete_theme = delete_theme;
+exports.download_themes = download_themes;
+exports.publish_theme = publish_theme;
+
+exports.create_resource = create_resource;
+exports.delete_resource = delete_resource;
+exports.download_resource_page = download_resource_page;
+exports.get_resource = get_resource;
+exports.list_resources = list_resources;
+exports.update_resource = update_resource;
+
 exports.download_resource = download_resource;
 exports.upload_resource = upload_resource;
 
+exports.create_metafield = create_metafield;
+exports.delete_metafield = delete_metafield;
+exports.find_metafield = find_metafield;
+exports.get_metafield = get_metafield;
+exports.list_metafields = list_metafields;
+exports.update_metafield = update_metafield;
 exports.download_metafields = download_metafields;
 exports.upload_metafield = upload_metafield;
 
+exports.create_webhook = create_webhook;
+exports.delete_webhook = delete_webhook;
+exports.list_webhooks = list_webhooks;
+exports.sync_webhooks = sync_webhooks;
+exports.update_webhook = update_webhook;
+
 exports.download_products = download_products;
 exports.upload_products = upload_products;
 
@@ -0,0 +1,403 @@
+//  The following requestors run GraphQL Admin API bulk operations, which export
+//  (or import) large amounts of data asynchronously, rather than page by page.
+/* global exports, require  */
+"use strict";
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const readline = require("readline");
+const { graphql } = require("./graphql_requests");
+const { log } = require("../log");
+
+//  Module Private Methods
+//  create_record_assembler()
+//  download_results()
+//  finish_bulk_operation()
+//  poll_bulk_operation()
+//  upload_staged_file()
+//  Module Public Methods:
+//  bulk_query()
+//  bulk_mutation()
+
+//  NOTES
+//      A bulk operation's results are a JSONL file, in which nested connections
+//  are flattened: each child object is written on its own line, after its parent,
+//  with a __parentId property containing the parent's id.  e.g.
+//      {"id":"gid://shopify/Product/1","title":"Shirt"}
+//      {"id":"gid://shopify/ProductVariant/2","sku":"S-1","__parentId":"gid://shopify/Product/1"}
+//  Here we reattach each child to its parent, in an array named after the child's
+//  type (see child_field_name()), before passing the parent on.
+
+const run_query_mutation = `mutation ($query: String!) {
+	bulkOperationRunQuery(query: $query) {
+		bulkOperation { id status }
+		userErrors { field message }
+	}
+}`;
+
+const run_mutation_mutation = `mutation ($mutation: String!, $stagedUploadPath: String!) {
+	bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+		bulkOperation { id status }
+		userErrors { field message }
+	}
+}`;
+
+const staged_upload_mutation = `mutation ($input: [StagedUploadInput!]!) {
+	stagedUploadsCreate(input: $input) {
+		stagedTargets { url resourceUrl parameters { name value } }
+		userErrors { field message }
+	}
+}`;
+
+const poll_query = `query ($id: ID!) {
+	node(id: $id) {
+		... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+	}
+}`;
+
+const finished_statuses = ["COMPLETED", "FAILED", "CANCELED", "EXPIRED"];
+const default_poll_interval = 2000;
+
+
+//  e.g. "gid://shopify/ProductVariant/2" => "productVariants", unless the type is
+//  given a different name in child_fields, e.g. { ProductVariant: "variants" }.
+function child_field_name(id, child_fields) {
+	const match = /^gid:\/\/shopify\/(\w+)\//.exec(id || "");
+	const type = match ? match[1] : "children";
+	if (child_fields && child_fields[type]) {
+		return child_fields[type];
+	}
+	return type[0].toLowerCase() + type.slice(1) + "s";
+}
+
+
+//  @param1 {function} emit  -  Called with each top level record, once all of its
+//   descendants have been attached to it.
+//  @return {object}  -  { add(record), end() }
+function create_record_assembler(emit, child_fields) {
+	let root = null;
+	const objects = new Map();
+
+	const flush = function () {
+		if (root !== null) {
+			emit(root);
+		}
+		root = null;
+		objects.clear();
+	};
+
+	return Object.freeze({
+		add: function (record) {
+			const parent = record.__parentId && objects.get(record.__parentId);
+			if (!record.__parentId) {
+				flush();
+				root = record;
+			} else if (parent) {
+				delete record.__parentId;
+				const field = child_field_name(record.id, child_fields);
+				if (!Array.isArray(parent[field])) {
+					parent[field] = [];
+				}
+				parent[field].push(record);
+			} else {
+
+//  The parent should always precede its children, but if it does not the child
+//  is passed on as is, with its __parentId intact.
+
+				emit(record);
+			}
+			if (record.id) {
+				objects.set(record.id, record);
+			}
+		},
+		end: flush
+	});
+}
+
+
+function request_module(url) {
+	return url.startsWith("http://") ? http : https;
+}
+
+
+//  Stream the JSONL file at url, calling on_line with each parsed line.  When output
+//  (the stream the results are written to, if any) has a full buffer, the download is
+//  paused until it has drained, so that large results are not held in memory.
+function download_results(url, on_line, output, cb) {
+	request_module(url).get(url, function (response) {
+		if (response.statusCode.toString()[0] !== "2") {
+			response.resume();
+			return cb(null, "Could not download bulk operation results: " + response.statusCode);
+		}
+		const lines = readline.createInterface({ input: response, crlfDelay: Infinity });
+		let failed = false;
+		const fail = function (reason) {
+			failed = true;
+			lines.close();
+			response.destroy();
+			return cb(null, reason);
+		};
+		response.on("error", function (err) {
+			if (!failed) {
+				return fail("Could not download bulk operation results: " + err);
+			}
+		});
+		lines.on("line", function (line) {
+			if (failed || line.trim() === "") {
+				return;
+			}
+			try {
+				on_line(JSON.parse(line));
+			} catch (exception) {
+				return fail("Could not process bulk operation results: " + exception);
+			}
+			if (
+				output
+				&& output.writableLength >= output.writableHighWaterMark
+				&& !response.isPaused()
+			) {
+				response.pause();
+				output.once("drain", function () {
+					response.resume();
+				});
+			}
+		});
+		lines.on("close", function () {
+			if (!failed) {
+				return cb(true);
+			}
+		});
+	}).on("error", function (err) {
+		return cb(null, "Could not download bulk operation results: " + err);
+	});
+}
+
+
+//  Poll the bulk operation until it has finished, then call cb with it.
+function poll_bulk_operation(id, poll_interval, cb) {
+	(function poll() {
+		graphql(poll_query, { id: id })(function (data, reason) {
+			if (data === null) {
+				return cb(null, reason);
+			}
+			const operation = data.query_result.node;
+			if (operation === null || operation === undefined) {
+				return cb(null, "bulk operation not found: " + id);
+			}
+			if (!finished_statuses.includes(operation.status)) {
+				return setTimeout(poll, poll_interval);
+			}
+			if (operation.status !== "COMPLETED") {
+				return cb(null, `Bulk operation ${id} ${operation.status.toLowerCase()}: ${operation.errorCode}`);
+			}
+			return cb(operation);
+		}, Object.create(null));
+	})();
+}
+
+
+//  Wait for the bulk operation to finish, then stream its results through the
+//  assembler, to options.on_record and/or options.output_path.  If neither is given,
+//  data.records is set to an array of every record.
+function finish_bulk_operation(id, options, cb, data) {
+	const records = [];
+	let output;
+	let output_error;
+	let count = 0;
+
+	const emit = function (record) {
+		count += 1;
+		if (options.on_record) {
+			options.on_record(record);
+		}
+		if (output) {
+			output.write(JSON.stringify(record) + "\n");
+		}
+		if (!options.on_record && !options.output_path) {
+			records.push(record);
+		}
+	};
+
+	poll_bulk_operation(id, options.poll_interval || default_poll_interval, function (operation, reason) {
+		if (operation === null) {
+			return cb(null, reason);
+		}
+		log("Bulk Operation", `${id} completed, ${operation.objectCount} objects`);
+		data.bulk_operation = operation;
+		if (options.output_path) {
+			output = fs.createWriteStream(options.output_path);
+			output.on("error", function (err) {
+				output_error = err;
+			});
+		}
+		const done = function (ok, reason) {
+			if (ok === null) {
+				return cb(null, reason);
+			}
+			if (output_error) {
+				return cb(null, "Could not write bulk operation results: " + output_error);
+			}
+			data.record_count = count;
+			if (!options.on_record && !options.output_path) {
+				data.records = records;
+			}
+			if (output) {
+				return output.end(function () {
+					if (output_error) {
+						return cb(null, "Could not write bulk operation results: " + output_error);
+					}
+					return cb(data);
+				});
+			}
+			return cb(data);
+		};
+
+//  Operations which matched no objects have no results file.
+
+		if (!operation.url) {
+			return done(true);
+		}
+		const assembler = create_record_assembler(emit, options.child_fields);
+		download_results(operation.url, assembler.add, output, function (ok, reason) {
+			if (ok !== null) {
+				assembler.end();
+			}
+			return done(ok, reason);
+		});
+	});
+}
+
+
+/*
+	@param1 {string} query  -  A GraphQL query selecting the objects to export, e.g.
+	 "{ customers { edges { node { id email addresses { address1 } } } } }".
+	@param2 {object} options  -  (optional)
+	 on_record {function}  -  Called with each top level record, with its children
+	  attached, as the results are streamed.
+	 output_path {string}  -  Write each reassembled record to this file, as JSONL.
+	 child_fields {object}  -  The names of the arrays children are attached in,
+	  by type, e.g. { ProductVariant: "variants" }.  Defaults to e.g. "productVariants".
+	 poll_interval {number}  -  Milliseconds between status checks, defaults to 2000.
+	@return {function}  -  A requestor which sets data.bulk_operation, data.record_count,
+	 and, if neither on_record nor output_path are given, data.records.
+*/
+function bulk_query(query, options = {}) {
+	return function bulk_query_requestor(cb, data) {
+		try {
+			graphql(run_query_mutation, { query: query })(function (d, reason) {
+				if (d === null) {
+					return cb(null, reason);
+				}
+				const operation = d.query_result.bulkOperationRunQuery.bulkOperation;
+				log("Bulk Operation", `${operation.id} started`);
+				return finish_bulk_operation(operation.id, options, cb, data);
+			}, Object.create(null));
+		} catch (exception) {
+			return cb(null, "bulk_query " + exception);
+		}
+	};
+}
+
+
+//  POST the file content to a staged upload target as multipart/form-data.
+function upload_staged_file(target, content, cb) {
+	const boundary = "----shopify_dev_utils" + Date.now().toString(16);
+	const parts = target.parameters.map(
+		parameter => (
+			`--${boundary}\r\nContent-Disposition: form-data; name="${parameter.name}"\r\n\r\n`
+			+ `${parameter.value}\r\n`
+		)
+	);
+	parts.push(
+		`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="bulk_op_vars.jsonl"\r\n`
+		+ "Content-Type: text/jsonl\r\n\r\n"
+	);
+	const body = Buffer.concat([
+		Buffer.from(parts.join("")),
+		Buffer.from(content),
+		Buffer.from(`\r\n--${boundary}--\r\n`)
+	]);
+	const url = new URL(target.url);
+	const request = request_module(target.url).request({
+		method: "POST",
+		hostname: url.hostname,
+		port: url.port || undefined,
+		path: url.pathname + url.search,
+		headers: {
+			"Content-Type": `multipart/form-data; boundary=${boundary}`,
+			"Content-Length": body.length
+		}
+	}, function (response) {
+		const responseData = [];
+		response.on("data", d => responseData.push(d));
+		response.on("end", function () {
+			if (response.statusCode.toString()[0] !== "2") {
+				log("Error", { statusCode: response.statusCode, responseBody: responseData.join("") });
+				return cb(null, "Staged upload failed: " + response.statusCode);
+			}
+			return cb(true);
+		});
+	});
+	request.on("error", function (err) {
+		return cb(null, "Staged upload failed: " + err);
+	});
+	request.end(body);
+}
+
+
+/*
+	@param1 {string} mutation  -  A GraphQL mutation which is run once per line of
+	 variables, e.g.
+	 "mutation ($input: ProductInput!) { productCreate(input: $input) { product { id } userErrors { message } } }"
+	@param2 {string|array} variables  -  The path to a JSONL file of variables, one
+	 object per line, or an array of variables objects.
+	@param3 {object} options  -  See bulk_query().  Each record is the result of one
+	 mutation, e.g. { data: { productCreate: { ... } }, __lineNumber: 0 }.
+	@return {function}  -  A requestor which sets the same data properties as bulk_query().
+*/
+function bulk_mutation(mutation, variables, options = {}) {
+	return function bulk_mutation_requestor(cb, data) {
+		try {
+			const content = (
+				Array.isArray(variables)
+				? variables.map(value => JSON.stringify(value)).join("\n")
+				: fs.readFileSync(variables)
+			);
+			const staged_upload_input = [{
+				resource: "BULK_MUTATION_VARIABLES",
+				filename: "bulk_op_vars",
+				mimeType: "text/jsonl",
+				httpMethod: "POST"
+			}];
+			graphql(staged_upload_mutation, { input: staged_upload_input })(function (d, reason) {
+				if (d === null) {
+					return cb(null, reason);
+				}
+				const target = d.query_result.stagedUploadsCreate.stagedTargets[0];
+				const key = target.parameters.find(parameter => parameter.name === "key");
+				upload_staged_file(target, content, function (ok, reason) {
+					if (ok === null) {
+						return cb(null, reason);
+					}
+					graphql(run_mutation_mutation, {
+						mutation: mutation,
+						stagedUploadPath: key ? key.value : target.resourceUrl
+					})(function (d, reason) {
+						if (d === null) {
+							return cb(null, reason);
+						}
+						const operation = d.query_result.bulkOperationRunMutation.bulkOperation;
+						log("Bulk Operation", `${operation.id} started`);
+						return finish_bulk_operation(operation.id, options, cb, data);
+					}, Object.create(null));
+				});
+			}, Object.create(null));
+		} catch (exception) {
+			return cb(null, "bulk_mutation " + exception);
+		}
+	};
+}
+
+
+exports.bulk_mutation = bulk_mutation;
+exports.bulk_query = bulk_query;
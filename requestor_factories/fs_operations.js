@@ -1,14 +1,22 @@
 /* globals exports, require, __dirname */
 "use strict";
 const { exec } = require("child_process"); // Executes commands in the terminal.
+const crypto = require("crypto");
 const fs = require("fs");
 const Path = require("path");
 const process = require("process"); // Used to get the current platform.
 const { run_async } = require("../utils");
 const Chokidar = require("chokidar"); // Package for watching changes to files.
-const Fiber = require("fibers");
+//  fibers speeds up sass.render(), but does not support Node 16 and later, in which
+//  case SCSS is compiled without it.
+const Fiber = (
+    parseInt(process.versions.node, 10) < 16
+    ? require("fibers")
+    : undefined
+);
 const sass = require("sass"); // SCSS compiler.
 const { log } = require("../log");
+const { load_ignore_rules } = require("../ignore");
 
 const shopify_dev_utils_dir = Path.dirname(__dirname);
 let jsmin_dir_path = Path.join(shopify_dev_utils_dir, "JSMin-master");
@@ -23,12 +31,32 @@ if (platform === "win32") {
     jsmin_path = Path.join(jsmin_dir_path, "jsmin-darwin");
 }
 
+//  Replaced with the project's ignore rules when init() is called.
+let ignore_rules = function () {
+    return false;
+};
+
+
+const init = function (base_path) {
+
+//  Load the ignore rules (see ignore.js) for the project in base_path.  Files
+//  matching the rules are skipped by get_all_file_paths() and start_watchers().
+
+    ignore_rules = load_ignore_rules(base_path);
+};
+
+
+const is_ignored = function (file_path, is_dir) {
+    return ignore_rules(file_path, is_dir);
+};
 
-const get_all_file_paths = function (base_dir) {
+
+const get_all_file_paths = function (base_dir, include_ignored = false) {
 
 //  Get all of the file (not directory) paths from a directory (called baseDirectory).
 //  This is done in a breadth first manner, but continues until all files, regardless of depth,
-//  are accounted for.
+//  are accounted for.  Files matching the ignore rules are skipped unless include_ignored
+//  is true.
 
     const tmp_dirent_array = [];
 
@@ -87,6 +115,9 @@ const get_all_file_paths = function (base_dir) {
                     const dirents = dirent_obj.files;
                     dirents.forEach(function (dirent) {
                         const dir_path = Path.join(path, dirent.name);
+                        if (!include_ignored && is_ignored(dir_path, dirent.isDirectory())) {
+                            return;
+                        }
                         if (dirent.isDirectory()) {
                             dirs_to_read.push(dir_path);
                         } else {
@@ -116,6 +147,46 @@ const get_all_file_paths = function (base_dir) {
     };
 };
 
+const get_checksums = function (file_paths) {
+
+//  Sets data.checksums to a map from each file path to the MD5 hex digest of the
+//  file's contents, which is how Shopify represents an asset's checksum.
+//  @param1 {array} file_paths  -  (optional) Defaults to the keys of data.readWriteMap.
+
+    return function get_checksums_requestor(cb, data) {
+        try {
+            const paths = file_paths || Array.from(data.readWriteMap.keys());
+            data.checksums = new Map();
+            if (paths.length === 0) {
+                return cb(data);
+            }
+            const requestors = paths.map(function (path) {
+                return function get_checksum_requestor(cb) {
+                    fs.readFile(path, function (err, content) {
+                        if (err) return cb(null, err);
+                        data.checksums.set(
+                            path,
+                            crypto.createHash("md5").update(content).digest("hex")
+                        );
+                        return cb();
+                    });
+                };
+            });
+            let failed = false;
+            run_async(requestors, function (d, reason) {
+                if (failed) return;
+                if (d === null) {
+                    failed = true;
+                    return cb(null, reason);
+                }
+                return cb(data);
+            }, data);
+        } catch (exception) {
+            return cb(null, exception);
+        }
+    };
+};
+
 const minify_js = function (input, output) {
 
 //  @param1 {string|array} input  - The path(s) to the input file(s).
@@ -253,7 +324,12 @@ const start_watchers = function (handler) {
 
     return function start_watchers_requestor(cb, data) {
         try {
-            const options = { ignoreInitial: true };
+            const options = {
+                ignoreInitial: true,
+                ignored: function (path, stats) {
+                    return is_ignored(path, stats ? stats.isDirectory() : undefined);
+                }
+            };
             Chokidar.watch(data.paths.scripts, options).on("all", handler("scripts"));
             Chokidar.watch(data.paths.styles, options).on("all", handler("styles"));
             Chokidar.watch(data.paths.theme, options).on("all", handler("theme"));
@@ -279,13 +355,20 @@ const unlink_file = function (file_path) {
 };
 
 
-const write_file = function (path, file_content=false) {
-    return function read_file_requestor(cb, data) {
+const write_file = function (path, file_content=false, enc="utf8") {
+
+//  Any missing parent directories of path are created before writing.
+//  @param2 {string|Buffer} file_content  -  (optional) Defaults to data.file_content.
+
+    return function write_file_requestor(cb, data) {
         try {
-            const content = file_content ? file_content : data.file_content;
-            fs.writeFile(path, content, function (err) {
-                if (err) throw err;
-                return cb(data);
+            const content = (file_content !== false) ? file_content : data.file_content;
+            fs.mkdir(Path.dirname(path), { recursive: true }, function (err) {
+                if (err) return cb(null, err);
+                fs.writeFile(path, content, enc, function (err) {
+                    if (err) return cb(null, err);
+                    return cb(data);
+                });
             });
         } catch (exception) {
             return cb(null, exception);
@@ -295,6 +378,9 @@ const write_file = function (path, file_content=false) {
 
 
 exports.get_all_file_paths = get_all_file_paths;
+exports.get_checksums = get_checksums;
+exports.init = init;
+exports.is_ignored = is_ignored;
 exports.minify_js = minify_js;
 exports.process_scss = process_scss;
 exports.read_file = read_file;
@@ -0,0 +1,364 @@
+//  The following requestors are used to make requests to the GraphQL Admin API.
+/* global exports, require  */
+"use strict";
+const { log } = require("../log");
+const { send_request } = require("./send_request");
+
+let store_url;
+let auth;
+//  See api_requests.js.
+let api_url;
+
+//  Module Private Methods
+//  is_mutation()
+//  post_query()
+//  reserve_cost()
+//  find_user_errors()
+//  Module Public Methods:
+//  graphql()
+//  graphql_page()
+//  graphql_paginate()
+//  get_cost_state()
+//  init()
+
+//  NOTES
+//      Unlike the REST Admin API, the GraphQL Admin API limits requests by their
+//  calculated cost rather than their number.  Each store has a bucket of
+//  maximum_available points (1000 for standard stores) which is restored at
+//  restore_rate points per second (50 for standard stores), and every response
+//  includes extensions.cost, e.g.
+//  {
+//      requestedQueryCost: 101,
+//      actualQueryCost: 46,
+//      throttleStatus: {
+//          maximumAvailable: 1000,
+//          currentlyAvailable: 954,
+//          restoreRate: 50
+//      }
+//  }
+//  We keep track of the bucket using these values, and delay a query until the
+//  bucket holds enough points for it, rather than waiting for a THROTTLED error.
+
+let api_version = "2023-10";
+
+//  Failed requests are sent up to max_attempts times in total, see send_request.js.
+//  A mutation is only retried on 429 responses, or before its connection was made.
+let max_attempts = 5;
+
+//  The cost of a query is unknown until it has been made once, until then we assume
+//  it costs default_query_cost points.
+const default_query_cost = 50;
+const query_costs = new Map();
+
+let maximum_available = 1000;
+let currently_available = 1000;
+let restore_rate = 50;
+let last_cost_update = Date.now();
+
+//  Functions which, when called, send a query that had been delayed, along with the
+//  cost it is expected to have.
+const queue = [];
+let is_draining = false;
+
+
+function init(data) {
+	store_url = data.store_url;
+	auth = data.auth;
+	api_url = data.api_url ? new URL(data.api_url) : undefined;
+	if (data.graphql_api_version) {
+		api_version = data.graphql_api_version;
+	}
+	if (data.max_attempts !== undefined) {
+		max_attempts = Math.max(1, parseInt(data.max_attempts, 10) || 1);
+	}
+}
+
+
+function available_points() {
+	const seconds = (Date.now() - last_cost_update) / 1000;
+	return Math.min(maximum_available, currently_available + seconds * restore_rate);
+}
+
+function update_cost_state(cost) {
+	if (!cost || !cost.throttleStatus) {
+		return;
+	}
+	maximum_available = cost.throttleStatus.maximumAvailable;
+	currently_available = cost.throttleStatus.currentlyAvailable;
+	restore_rate = cost.throttleStatus.restoreRate;
+	last_cost_update = Date.now();
+}
+
+//  @return {object}  -  e.g. { available: 954, maximum: 1000, restore_rate: 50, queued: 0 }
+function get_cost_state() {
+	return {
+		available: Math.floor(available_points()),
+		maximum: maximum_available,
+		restore_rate: restore_rate,
+		queued: queue.length
+	};
+}
+
+//  Call send once the bucket holds the query's expected cost, removing that cost
+//  from the bucket.  Queries are sent in the order they were requested.
+function reserve_cost(cost, send) {
+	cost = Math.min(cost, maximum_available);
+	if (queue.length === 0 && available_points() >= cost) {
+		currently_available = available_points() - cost;
+		last_cost_update = Date.now();
+		return send();
+	}
+	queue.push({ cost: cost, send: send });
+	if (!is_draining) {
+		drain_queue();
+	}
+}
+
+function drain_queue() {
+	try {
+		is_draining = true;
+		(function drainer() {
+			if (queue.length === 0) {
+				is_draining = false;
+				return;
+			}
+			const next = queue[0];
+			const available = available_points();
+			if (available >= next.cost) {
+				queue.shift();
+				currently_available = available - next.cost;
+				last_cost_update = Date.now();
+				next.send();
+				return drainer();
+			}
+			setTimeout(drainer, Math.ceil((next.cost - available) / restore_rate * 1000));
+		})();
+	} catch (exception) {
+		log("Error", "drainer error," + exception);
+	}
+}
+
+
+//  Whether a GraphQL document contains a mutation operation.  Strings and comments are
+//  skipped, as are fragment definitions, and a document which is only a selection set,
+//  e.g. "{ shop { name } }", is a query.
+function is_mutation(document) {
+	const tokens = String(document)
+		.replace(/"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"|#[^\n\r]*/g, " ")
+		.match(/[_A-Za-z][_0-9A-Za-z]*|[{}]/g) || [];
+	let depth = 0;
+	let is_definition_start = true;
+	return tokens.some(function (token) {
+		if (token === "{") {
+			depth += 1;
+			is_definition_start = false;
+		} else if (token === "}") {
+			depth -= 1;
+			is_definition_start = (depth === 0);
+		} else if (depth === 0 && is_definition_start) {
+			is_definition_start = false;
+			return token === "mutation";
+		}
+		return false;
+	});
+}
+
+//  POST a query to the GraphQL endpoint, retrying it on 429 and 5xx responses and on
+//  network errors, see send_request.js.  Calls cb with the parsed response body, or
+//  with null and a reason.
+function post_query(body, cb) {
+	const options = {
+		hostname: api_url ? api_url.hostname : store_url,
+		port: api_url ? (api_url.port || (api_url.protocol === "http:" ? 80 : 443)) : 443,
+		protocol: api_url ? api_url.protocol : "https:",
+		path: `/admin/api/${api_version}/graphql.json`,
+		method: "POST",
+		auth: auth,
+		headers: {
+			"Content-Type": "application/json"
+		}
+	};
+	send_request(options, {
+		body: JSON.stringify(body),
+		is_repeatable: !is_mutation(body.query),
+		max_attempts: max_attempts,
+		name: "GraphQL query"
+	}, function (response, reason) {
+		if (response === null) {
+			return cb(null, "GraphQL request failed: " + reason);
+		}
+		if (response.status.toString()[0] !== "2") {
+			log("Error", {
+				statusCode: response.status,
+				statusMessage: response.status_message,
+				responseBody: response.body
+			});
+			return cb(null, "GraphQL request failed: " + response.status + " " + response.status_message);
+		}
+		let parsed;
+		try {
+			parsed = JSON.parse(response.body);
+		} catch (exception) {
+			return cb(null, "GraphQL response could not be parsed: " + exception);
+		}
+		return cb(parsed);
+	});
+}
+
+
+//  Search a response's data for mutation payloads with a non-empty userErrors array.
+//  @return {array}  -  e.g. [{ field: ["input", "title"], message: "Title can't be blank" }]
+function find_user_errors(value) {
+	if (!value || typeof value !== "object") {
+		return [];
+	}
+	if (Array.isArray(value)) {
+		return value.reduce((errors, item) => errors.concat(find_user_errors(item)), []);
+	}
+	return Object.keys(value).reduce(function (errors, key) {
+		if (key === "userErrors" && Array.isArray(value[key])) {
+			return errors.concat(value[key]);
+		}
+		return errors.concat(find_user_errors(value[key]));
+	}, []);
+}
+
+
+/*
+	@param1 {string} query  -  A GraphQL query or mutation.
+	@param2 {object} variables  -  (optional) The values of the query's variables.
+	@return {function}  -  A requestor which sets data.query_result to the response's
+	 data property, and data.cost to its extensions.cost property.  The requestor fails
+	 if the response contains errors, or if any mutation payload contains userErrors.
+	 Queries which are throttled by Shopify are retried once the bucket has been restored.
+*/
+function graphql(query, variables) {
+	return function graphql_requestor(cb, data) {
+		try {
+			const send = function () {
+				post_query({ query: query, variables: variables }, function (response, reason) {
+					if (response === null) {
+						return cb(null, reason);
+					}
+					const cost = response.extensions && response.extensions.cost;
+					update_cost_state(cost);
+					if (cost) {
+						query_costs.set(query, cost.requestedQueryCost);
+					}
+					const errors = response.errors || [];
+					if (errors.some(error => error.extensions && error.extensions.code === "THROTTLED")) {
+						log("Throttled", "GraphQL query, waiting for the bucket to be restored");
+						return reserve_cost(query_costs.get(query) || default_query_cost, send);
+					}
+					if (errors.length > 0) {
+						log("Error", { errors: JSON.stringify(errors) });
+						return cb(null, "GraphQL errors: " + errors.map(error => error.message).join("; "));
+					}
+					const user_errors = find_user_errors(response.data);
+					if (user_errors.length > 0) {
+						return cb(null, "GraphQL userErrors: " + user_errors.map(
+							error => (error.field ? error.field.join(".") + ": " : "") + error.message
+						).join("; "));
+					}
+					data.query_result = response.data;
+					data.cost = cost;
+					return cb(data);
+				});
+			};
+			return reserve_cost(query_costs.get(query) || default_query_cost, send);
+		} catch (exception) {
+			return cb(null, "graphql " + exception);
+		}
+	};
+}
+
+
+/*
+	Requests a single page of a connection, see graphql_paginate() for the form
+	the query must take.
+	@param4 {string} cursor  -  (optional) The end_cursor of the previous page, omit
+	 to request the first page.
+	@return {function}  -  A requestor which sets data.nodes to the page's nodes, and
+	 data.end_cursor to the cursor of the next page, or null if this is the last page.
+*/
+function graphql_page(query, variables, connection_path, cursor) {
+	return function graphql_page_requestor(cb, data) {
+		try {
+			const page_variables = Object.assign({}, variables, { cursor: cursor || null });
+			graphql(query, page_variables)(function (d, reason) {
+				if (d === null) {
+					return cb(null, reason);
+				}
+				const connection = connection_path.split(".").reduce(
+					(value, key) => (value ? value[key] : undefined),
+					d.query_result
+				);
+				if (!connection) {
+					return cb(null, "graphql_page: no connection at " + connection_path);
+				}
+				data.nodes = connection.nodes || (connection.edges || []).map(edge => edge.node);
+				data.end_cursor = (
+					(connection.pageInfo && connection.pageInfo.hasNextPage)
+					? connection.pageInfo.endCursor
+					: null
+				);
+				data.cost = d.cost;
+				return cb(data);
+			}, Object.create(null));
+		} catch (exception) {
+			return cb(null, "graphql_page " + exception);
+		}
+	};
+}
+
+
+/*
+	Follows cursor pagination over a connection, requesting pages until hasNextPage
+	is false.  The query must declare a $cursor: String variable, pass it as the
+	connection's after argument, and select pageInfo { hasNextPage endCursor } along
+	with either nodes or edges { node }, e.g.
+		query ($cursor: String) {
+			products(first: 250, after: $cursor) {
+				nodes { id title }
+				pageInfo { hasNextPage endCursor }
+			}
+		}
+	@param3 {string} connection_path  -  The path to the connection within the response's
+	 data, e.g. "products" or "customer.orders".
+	@param4 {function} on_page  -  (optional) Called with each page's array of nodes.  When
+	 given, the nodes are not accumulated, which keeps large collections out of memory.
+	@return {function}  -  A requestor which sets data.nodes to every node in the connection.
+*/
+function graphql_paginate(query, variables, connection_path, on_page) {
+	return function graphql_paginate_requestor(cb, data) {
+		try {
+			const nodes = [];
+			(function request_page(cursor) {
+				graphql_page(query, variables, connection_path, cursor)(function (d, reason) {
+					if (d === null) {
+						return cb(null, reason);
+					}
+					if (on_page) {
+						on_page(d.nodes);
+					} else {
+						nodes.push(...d.nodes);
+					}
+					if (d.end_cursor) {
+						return request_page(d.end_cursor);
+					}
+					data.nodes = nodes;
+					return cb(data);
+				}, Object.create(null));
+			})(null);
+		} catch (exception) {
+			return cb(null, "graphql_paginate " + exception);
+		}
+	};
+}
+
+
+exports.get_cost_state = get_cost_state;
+exports.graphql = graphql;
+exports.graphql_page = graphql_page;
+exports.graphql_paginate = graphql_paginate;
+exports.init = init;
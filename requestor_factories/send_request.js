@@ -0,0 +1,139 @@
+//  Sends a request to the Admin API, retrying it when that is safe to do.  Used by both
+//  api_requests.js and graphql_requests.js.
+/* global exports, require  */
+"use strict";
+const http = require("http");
+const https = require("https");
+const { log } = require("../log");
+
+//  Module Public Methods:
+//  send_request()
+
+//  NOTES
+//      Requests which receive a 429 or 5xx response, or which fail because of a network
+//  error (e.g. ECONNRESET or a timeout), are retried up to max_attempts times in total.
+//  The delay before each retry doubles, starting at retry_base_delay, unless a
+//  Retry-After header specifies it.
+//      A request which is not repeatable (a REST POST, e.g. creating a product, or a
+//  GraphQL mutation) may already have been carried out when a 5xx response or a network
+//  error is received, so to avoid creating duplicates it is only retried on 429
+//  responses, or on network errors raised before its connection was made.
+
+const retry_base_delay = 1000;
+const max_retry_delay = 32000;
+//  Requests which have not received a response after this many milliseconds fail
+//  with an ETIMEDOUT error.
+const request_timeout = 30000;
+
+
+/*
+	@param1 {object} options  -  The options passed to http.request() or https.request(),
+	 with options.protocol set to "http:" when the request is sent to the mock server.
+	@param2 {object} settings
+	 body {string}  -  (optional)  The request body.
+	 is_repeatable {boolean}  -  False if the request may not be retried once sent.
+	 max_attempts {number}  -  The number of times the request is sent, at most.
+	 name {string}  -  Describes the request in log messages, e.g. "GET /admin/...".
+	 schedule {function}  -  (optional)  Called with a function which sends the request,
+	  before each attempt, e.g. to wait for space in the rate limit bucket.
+	 on_settled {function}  -  (optional)  Called after each attempt, with the response,
+	  or with undefined if it failed with a network error.
+	@param3 {function} cb  -  Called once, with { status, status_message, headers, body,
+	 attempts } for the last response received, whatever its status, or with null and
+	 the network error's code.
+*/
+function send_request(options, settings, cb) {
+	const schedule = settings.schedule || (send => send());
+	const on_settled = settings.on_settled || function () {};
+	let attempt = 0;
+
+	//  Schedules another attempt if any remain, returning false otherwise.
+	const retry = function (reason, retry_after) {
+		if (attempt >= settings.max_attempts) {
+			return false;
+		}
+		const delay = (
+			retry_after > 0
+			? retry_after * 1000
+			: Math.min(retry_base_delay * Math.pow(2, attempt - 1), max_retry_delay)
+		);
+		log("Retrying", `${settings.name} in ${delay}ms (${reason}, attempt ${attempt} of ${settings.max_attempts})`);
+		setTimeout(function () {
+			schedule(make_request);
+		}, delay);
+		return true;
+	};
+
+	function make_request() {
+		const response_data = [];
+		let is_settled = false;
+		let is_connected = false;
+		attempt += 1;
+
+		const handle_network_error = function (err) {
+			if (is_settled) {
+				return;
+			}
+			is_settled = true;
+			on_settled();
+			const reason = err.code || err.message;
+			if ((!settings.is_repeatable && is_connected) || !retry(reason)) {
+				log("Error", err);
+				return cb(null, reason);
+			}
+		};
+
+		const transport = (options.protocol === "http:") ? http : https;
+		const request = transport.request(options, function (response) {
+			response.on("data", function (d) {
+				response_data.push(d);
+			});
+			response.on("error", handle_network_error);
+			response.on("end", function () {
+				if (is_settled) {
+					return;
+				}
+				is_settled = true;
+				on_settled(response);
+				const status = response.statusCode;
+				if (status === 429 || (status >= 500 && settings.is_repeatable)) {
+					const retry_after = parseFloat(response.headers["retry-after"]);
+					if (retry(status + " " + response.statusMessage, retry_after)) {
+						return;
+					}
+				}
+				return cb({
+					status: status,
+					status_message: response.statusMessage,
+					headers: response.headers,
+					body: response_data.join(""),
+					attempts: attempt
+				});
+			});
+		});
+		request.setTimeout(request_timeout, function () {
+			const err = new Error("Request timed out after " + request_timeout + "ms");
+			err.code = "ETIMEDOUT";
+			request.destroy(err);
+		});
+		request.on("socket", function (socket) {
+			if (socket.connecting) {
+				socket.once("connect", function () {
+					is_connected = true;
+				});
+			} else {
+				is_connected = true;
+			}
+		});
+		request.on("error", handle_network_error);
+		if (settings.body !== undefined) {
+			request.write(settings.body);
+		}
+		request.end();
+	}
+
+	schedule(make_request);
+}
+
+
+exports.send_request = send_request;
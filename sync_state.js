@@ -0,0 +1,91 @@
+/* globals exports, require, __dirname */
+"use strict";
+const fs = require("fs");
+const Path = require("path");
+const { log } = require("./log");
+
+//  Records the checksum and updated_at values of each asset as of the last time
+//  it was uploaded or downloaded by this project, so that remote changes made
+//  since then (e.g. in the Shopify code editor) can be detected.
+//  The state of each theme is stored in local-data/sync-state-[theme_id].json.
+
+const default_local_data_path = Path.join(__dirname, "local-data");
+
+//  Writes are delayed by this many milliseconds, so that a batch of records
+//  results in a single write.
+const save_delay = 500;
+
+
+const create_sync_state = function (theme_id, local_data_path = default_local_data_path) {
+    const file_path = Path.join(local_data_path, `sync-state-${theme_id}.json`);
+    let state = Object.create(null);
+    let save_timer;
+
+    if (fs.existsSync(file_path)) {
+        try {
+            state = Object.assign(state, JSON.parse(fs.readFileSync(file_path, "utf8")));
+        } catch (exception) {
+            log("Error", "Could not read " + file_path + " " + exception);
+        }
+    }
+
+    const save = function () {
+        clearTimeout(save_timer);
+        save_timer = setTimeout(function () {
+            fs.mkdir(local_data_path, { recursive: true }, function (err) {
+                if (err) return log("Error", err);
+                fs.writeFile(file_path, JSON.stringify(state, null, 2), function (err) {
+                    if (err) log("Error", err);
+                });
+            });
+        }, save_delay);
+    };
+
+    return Object.freeze({
+
+//  @param1 {string} key  -  e.g. "snippets/card.liquid".
+//  @return {object|undefined}  -  { checksum, updated_at } as of the last sync.
+
+        get: function (key) {
+            return state[key];
+        },
+
+//  @param1 {object} asset  -  An asset object returned by the Asset API.
+
+        record: function (asset) {
+            if (!asset || !asset.key) {
+                return;
+            }
+            state[asset.key] = {
+                checksum: asset.checksum || null,
+                updated_at: asset.updated_at || null
+            };
+            save();
+        },
+
+        forget: function (key) {
+            if (state[key] !== undefined) {
+                delete state[key];
+                save();
+            }
+        },
+
+//  @param1 {object} asset  -  The remote asset, as returned by the Asset API.
+//  @return {boolean}  -  true if the remote asset has changed since it was last synced.
+
+        has_changed: function (asset) {
+            const synced = state[asset.key];
+            if (synced === undefined) {
+                return false;
+            }
+            return (
+                (asset.checksum && synced.checksum)
+                ? asset.checksum !== synced.checksum
+                : asset.updated_at !== synced.updated_at
+            );
+        }
+    });
+};
+
+
+exports.create_sync_state = create_sync_state;
@@ -0,0 +1,166 @@
+/* globals require, process */
+"use strict";
+const assert = require("assert");
+const { flatten_record, format_csv_row, get_table, group_rows, parse_csv } = require("../csv");
+
+//  Checks the parsing and grouping of imported CSV files, see csv.js.
+//  Run it with `npm test`.
+
+//  Records are created without a prototype, which deepStrictEqual would compare.
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const group = function (type, lines) {
+    return plain(group_rows(type, parse_csv(lines.join("\r\n"))));
+};
+
+
+const test_parse = function () {
+    const rows = parse_csv("\uFEFFid,title\r\n1,\"Shirt, blue\"\r\n2,\"The \"\"Best\"\" Hat\"\n3,\"Two\r\nlines\"\r\n");
+    assert.deepStrictEqual(rows.map(row => row.slice()), [
+        ["id", "title"],
+        ["1", "Shirt, blue"],
+        ["2", "The \"Best\" Hat"],
+        ["3", "Two\r\nlines"]
+    ]);
+    assert.deepStrictEqual(parse_csv("a,,\n").map(row => row.slice()), [["a", "", ""]]);
+    assert.deepStrictEqual(parse_csv("a,b"), parse_csv("a,b\n"), "the last line needs no line break");
+};
+
+const test_line_numbers = function () {
+    const rows = parse_csv("id,title\n\n1,Shirt\r\n\r\n\r\n2,Hat\n");
+    assert.deepStrictEqual(rows.map(row => row.line), [1, 3, 6], "blank lines are counted, but not returned");
+
+    const groups = group_rows("product", parse_csv("id,title\n\n1,Shirt\n\n2,x\n"));
+    assert.deepStrictEqual(groups.map(group => group.rows), [[3], [5]]);
+};
+
+const test_format = function () {
+    const values = ["1", "Shirt, blue", "The \"Best\" Hat", " padded", "Two\nlines", undefined, null, 4.5, { a: 1 }];
+    const line = format_csv_row(values);
+    assert.strictEqual(
+        line,
+        "1,\"Shirt, blue\",\"The \"\"Best\"\" Hat\",\" padded\",\"Two\nlines\",,,4.5,\"{\"\"a\"\":1}\"\r\n"
+    );
+    assert.deepStrictEqual(
+        parse_csv(line)[0].slice(),
+        ["1", "Shirt, blue", "The \"Best\" Hat", " padded", "Two\nlines", "", "", "4.5", "{\"a\":1}"]
+    );
+};
+
+const test_flatten = function () {
+    const product = {
+        id: 1,
+        title: "Shirt",
+        variants: [{ id: 10, sku: "S" }, { id: 11, sku: "M" }]
+    };
+    assert.deepStrictEqual(
+        flatten_record("product", product, ["id", "title", "variant.id", "variant.sku", "address.city"]),
+        [[1, "Shirt", 10, "S", ""], ["", "", 11, "M", ""]],
+        "the record's fields are only written on its first row"
+    );
+    assert.deepStrictEqual(
+        flatten_record("customer", { id: 2, email: "a@example.com" }, ["id", "address.city"]),
+        [[2, ""]]
+    );
+    assert.throws(() => get_table("order"), /unsupported resource type order/);
+};
+
+const test_grouping = function () {
+    const groups = group("product", [
+        "id,title,variant.id,variant.sku,variant.price,variant.inventory_quantity",
+        "1,Shirt,10,S,10.00,5",
+        ",,11,M,12.50,",
+        "1,Shirt,12,L,,",
+        "2,Hat,20,H,,"
+    ]);
+    assert.deepStrictEqual(groups, [
+        {
+            record: {
+                id: 1,
+                title: "Shirt",
+                variants: [
+                    { id: 10, sku: "S", price: "10.00" },
+                    { id: 11, sku: "M", price: "12.50" },
+                    { id: 12, sku: "L" }
+                ]
+            },
+            rows: [2, 3, 4],
+            errors: []
+        },
+        { record: { id: 2, title: "Hat", variants: [{ id: 20, sku: "H" }] }, rows: [5], errors: [] }
+    ], "read only fields, such as inventory_quantity, are left out");
+
+    const by_email = group("customer", [
+        "email,first_name,address.city,address.default",
+        "a@example.com,Ann,Leeds,yes",
+        "a@example.com,,York,false"
+    ]);
+    assert.deepStrictEqual(by_email.map(group => group.record), [{
+        email: "a@example.com",
+        first_name: "Ann",
+        addresses: [{ city: "Leeds", default: true }, { city: "York", default: false }]
+    }]);
+};
+
+const test_validation = function () {
+    const [invalid] = group("product", [
+        "id,title,status,variant.id,variant.price",
+        "x,Shirt,sold,10,ten"
+    ]);
+    assert.deepStrictEqual(invalid.errors, [
+        "line 2: id must be a whole number, not \"x\"",
+        "line 2: variant.price must be a number, not \"ten\"",
+        "line 2: status must be one of active, archived, draft, not \"sold\""
+    ]);
+
+    const [conflict] = group("product", [
+        "id,title,variant.id",
+        "1,Shirt,10",
+        "1,Hat,11"
+    ]);
+    assert.deepStrictEqual(conflict.errors, ["line 3: title conflicts with the value given on line 2"]);
+    assert.strictEqual(conflict.record.title, "Shirt");
+
+    const [new_variant] = group("product", [
+        "id,variant.id,variant.sku",
+        "1,10,S",
+        ",,M"
+    ]);
+    assert.deepStrictEqual(new_variant.errors, [
+        "line 3: variant.id is required, variants cannot be added to an existing product by an import"
+    ]);
+
+    const [untitled, customer] = [
+        group("product", ["handle,variant.sku", "shirt,S"])[0],
+        group("customer", ["note", "VIP"])[0]
+    ];
+    assert.deepStrictEqual(untitled.errors, ["title is required to create a product"]);
+    assert.deepStrictEqual(customer.errors, [
+        "email, phone, first_name or last_name is required to create a customer"
+    ]);
+
+    const [unknown] = group("product", ["id,title,address.city", "1,Shirt,Leeds"]);
+    assert.deepStrictEqual(unknown.errors, [
+        "Unknown column address.city, expected a product field or variant.[field]"
+    ]);
+};
+
+
+const tests = [
+    ["parses quoted values, a BOM and both line endings", test_parse],
+    ["keeps the line numbers of rows after blank lines", test_line_numbers],
+    ["quotes the values which need it", test_format],
+    ["flattens a record into one row per child", test_flatten],
+    ["groups the rows of each record", test_grouping],
+    ["reports invalid rows by line number", test_validation]
+];
+
+try {
+    tests.forEach(function ([name, test]) {
+        test();
+        console.log("ok - " + name);
+    });
+} catch (exception) {
+    console.log("not ok - " + (exception && exception.stack || exception));
+    process.exit(1);
+}
@@ -0,0 +1,101 @@
+/* globals require, process */
+"use strict";
+const assert = require("assert");
+const { unified_diff } = require("../diff");
+
+//  Checks the unified diffs printed by deploy's dry run, see diff.js.
+//  Run it with `npm test`.
+
+const lines = function (count, change) {
+    const result = [];
+    let number = 1;
+    while (number <= count) {
+        result.push(change && change[number] !== undefined ? change[number] : "line " + number);
+        number += 1;
+    }
+    return result.join("\n");
+};
+
+
+const test_identical = function () {
+    assert.strictEqual(unified_diff("a\nb\n", "a\nb\n", "remote", "local"), "");
+};
+
+const test_context = function () {
+    const diff = unified_diff(lines(10), lines(10, { 5: "changed" }), "remote/a.liquid", "local/a.liquid");
+    assert.strictEqual(diff, [
+        "--- remote/a.liquid",
+        "+++ local/a.liquid",
+        "@@ -2,7 +2,7 @@",
+        " line 2",
+        " line 3",
+        " line 4",
+        "-line 5",
+        "+changed",
+        " line 6",
+        " line 7",
+        " line 8"
+    ].join("\n"));
+};
+
+const test_added_file = function () {
+    assert.strictEqual(
+        unified_diff("", "a\nb", "remote", "local"),
+        "--- remote\n+++ local\n@@ -0,0 +1,2 @@\n+a\n+b"
+    );
+};
+
+const test_removed_lines = function () {
+    assert.strictEqual(
+        unified_diff("a\nb\nc", "a\nc", "remote", "local"),
+        "--- remote\n+++ local\n@@ -1,3 +1,2 @@\n a\n-b\n c"
+    );
+};
+
+const test_hunks = function () {
+    const hunk_headers = text => text.split("\n").filter(line => line.startsWith("@@"));
+
+//  Changes more than 2 * context unchanged lines apart are shown in separate hunks.
+
+    assert.deepStrictEqual(
+        hunk_headers(unified_diff(lines(30), lines(30, { 3: "x", 25: "y" }), "a", "b")),
+        ["@@ -1,6 +1,6 @@", "@@ -22,7 +22,7 @@"]
+    );
+    assert.deepStrictEqual(
+        hunk_headers(unified_diff(lines(30), lines(30, { 3: "x", 8: "y" }), "a", "b")),
+        ["@@ -1,11 +1,11 @@"]
+    );
+    assert.deepStrictEqual(
+        hunk_headers(unified_diff(lines(30), lines(30, { 10: "x" }), "a", "b", 1)),
+        ["@@ -9,3 +9,3 @@"]
+    );
+};
+
+const test_moved_line = function () {
+
+//  The longest common subsequence is kept, so a moved line is one removal and one
+//  addition rather than every line in between being replaced.
+
+    const diff = unified_diff("a\nb\nc\nd", "b\nc\nd\na", "remote", "local");
+    assert.strictEqual(diff, "--- remote\n+++ local\n@@ -1,4 +1,4 @@\n-a\n b\n c\n d\n+a");
+};
+
+
+const tests = [
+    ["prints nothing for identical texts", test_identical],
+    ["shows three lines of context around a change", test_context],
+    ["diffs against an empty file", test_added_file],
+    ["shows removed lines", test_removed_lines],
+    ["splits distant changes into separate hunks", test_hunks],
+    ["keeps the longest common subsequence", test_moved_line]
+];
+
+try {
+    tests.forEach(function ([name, test]) {
+        test();
+        console.log("ok - " + name);
+    });
+} catch (exception) {
+    console.log("not ok - " + (exception && exception.stack || exception));
+    process.exit(1);
+}
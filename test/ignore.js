@@ -0,0 +1,119 @@
+/* globals require, process */
+"use strict";
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const Path = require("path");
+const { load_ignore_rules } = require("../ignore");
+
+//  Checks the .shopifyignore rules, see ignore.js.
+//  Run it with `npm test`.
+
+const base_path = fs.mkdtempSync(Path.join(os.tmpdir(), "shopify_dev_utils-"));
+
+function rules(lines) {
+    fs.writeFileSync(Path.join(base_path, ".shopifyignore"), lines.join("\n"));
+    const is_ignored = load_ignore_rules(base_path);
+    return (relative_path, is_dir = false) => is_ignored(Path.join(base_path, ...relative_path.split("/")), is_dir);
+}
+
+
+const test_defaults = function () {
+    const is_ignored = rules([]);
+    assert.ok(is_ignored("theme/config/settings_data.json"));
+    assert.ok(is_ignored("theme/config.yml"));
+    assert.ok(is_ignored("theme/snippets/.DS_Store"));
+    assert.ok(is_ignored("theme/sections/header.liquid.swp"));
+    assert.ok(!is_ignored("theme/config/settings_schema.json"));
+    assert.ok(!is_ignored("config.yml"), "theme/config.yml is anchored to the project root");
+};
+
+const test_unanchored = function () {
+    const is_ignored = rules(["*.map", "drafts"]);
+    assert.ok(is_ignored("theme/assets/main.css.map"));
+    assert.ok(is_ignored("main.css.map"));
+    assert.ok(is_ignored("theme/drafts", true));
+    assert.ok(is_ignored("theme/drafts/page.liquid"), "files inside an ignored directory are ignored");
+    assert.ok(!is_ignored("theme/assets/main.css"));
+};
+
+const test_anchored = function () {
+    const is_ignored = rules(["/scripts/**/*.test.js", "theme/assets/*.min.js"]);
+    assert.ok(is_ignored("scripts/cart.test.js"), "** matches zero directories");
+    assert.ok(is_ignored("scripts/cart/drawer/drawer.test.js"));
+    assert.ok(!is_ignored("theme/scripts/cart.test.js"));
+    assert.ok(is_ignored("theme/assets/app.min.js"));
+    assert.ok(!is_ignored("theme/assets/vendor/app.min.js"), "* does not match a slash");
+};
+
+const test_double_star = function () {
+    const is_ignored = rules(["**/fixtures", "tmp/**"]);
+    assert.ok(is_ignored("fixtures", true));
+    assert.ok(is_ignored("scripts/tests/fixtures/product.json"));
+    assert.ok(is_ignored("tmp/a/b.txt"));
+    assert.ok(!is_ignored("tmp", true), "tmp/** matches what is inside tmp, not tmp itself");
+};
+
+const test_dir_only = function () {
+    const is_ignored = rules(["theme/snippets/icons/", "build/"]);
+    assert.ok(is_ignored("theme/snippets/icons", true));
+    assert.ok(is_ignored("theme/snippets/icons/icon-cart.liquid"));
+    assert.ok(!is_ignored("theme/snippets/icons"), "a directory rule does not match a file");
+    assert.ok(is_ignored("scripts/build/bundle.js"));
+    assert.ok(!is_ignored("scripts/build"));
+};
+
+const test_negation = function () {
+    const is_ignored = rules(["!theme/config/settings_data.json", "*.log", "!keep.log"]);
+    assert.ok(!is_ignored("theme/config/settings_data.json"), "a default rule can be negated");
+    assert.ok(is_ignored("logs/error.log"));
+    assert.ok(!is_ignored("logs/keep.log"), "the last matching rule wins");
+};
+
+const test_parent_excluded = function () {
+    const is_ignored = rules(["drafts/", "!drafts/keep.liquid"]);
+    assert.ok(is_ignored("drafts/keep.liquid"), "a file cannot be re-included if its directory is ignored");
+};
+
+const test_character_classes = function () {
+    const is_ignored = rules(["file-?.txt", "[abc].liquid", "[!x]y.js", "\\#notes", "# a comment", ""]);
+    assert.ok(is_ignored("file-1.txt"));
+    assert.ok(!is_ignored("file-10.txt"));
+    assert.ok(is_ignored("b.liquid"));
+    assert.ok(!is_ignored("d.liquid"));
+    assert.ok(is_ignored("ay.js"));
+    assert.ok(!is_ignored("xy.js"));
+    assert.ok(is_ignored("#notes"), "a pattern may start with an escaped #");
+    assert.ok(!is_ignored("# a comment"));
+};
+
+const test_outside_base = function () {
+    const is_ignored = load_ignore_rules(base_path);
+    assert.ok(!is_ignored(base_path, true));
+    assert.ok(!is_ignored(Path.join(base_path, "..", "config.yml"), false));
+};
+
+
+const tests = [
+    ["ignores the default files", test_defaults],
+    ["matches a pattern without a slash at any depth", test_unanchored],
+    ["anchors a pattern with a slash to the project root", test_anchored],
+    ["matches ** across directories", test_double_star],
+    ["matches a pattern ending in a slash only to directories", test_dir_only],
+    ["re-includes files with a negated pattern", test_negation],
+    ["keeps the files of an ignored directory ignored", test_parent_excluded],
+    ["matches ? and character classes", test_character_classes],
+    ["never ignores files outside the project", test_outside_base]
+];
+
+try {
+    tests.forEach(function ([name, test]) {
+        test();
+        console.log("ok - " + name);
+    });
+} catch (exception) {
+    console.log("not ok - " + (exception && exception.stack || exception));
+    process.exitCode = 1;
+} finally {
+    fs.rmSync(base_path, { recursive: true, force: true });
+}
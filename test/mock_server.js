@@ -0,0 +1,185 @@
+/* globals require, process */
+"use strict";
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const Path = require("path");
+const { create_mock_server } = require("../mock_server");
+const ShopifyAPI = require("../requestor_factories/api_requests");
+const Commands = require("../commands");
+const { to_promise } = require("../utils");
+
+//  Runs the requestors against the mock Admin API, see mock_server.js.
+//  Run it with `npm test`.
+
+const auth = "key:password";
+
+function deploy(env_vars, options = {}) {
+    return new Promise(function (resolve, reject) {
+        Commands.Deploy(env_vars, options, function (data, reason) {
+            return (data === null) ? reject(new Error(reason)) : resolve(data);
+        });
+    });
+}
+
+function import_csv(env_vars, type, file_path) {
+    return new Promise(function (resolve, reject) {
+        Commands.Import(env_vars, type, file_path, {}, function (data, reason) {
+            return (data === null) ? reject(new Error(reason)) : resolve(data);
+        });
+    });
+}
+
+function write_theme_file(base_path, key, value) {
+    const file_path = Path.join(base_path, "theme", ...key.split("/"));
+    fs.mkdirSync(Path.dirname(file_path), { recursive: true });
+    fs.writeFileSync(file_path, value);
+}
+
+
+const test_pagination = async function (mock, env_vars) {
+    ShopifyAPI.init(env_vars);
+    const data = await to_promise(ShopifyAPI.list_resources("product", { fields: "id", limit: 50 }));
+    const ids = new Set(data.resources.map(product => product.id));
+    const page_requests = mock.requests.filter(
+        request => request.method === "GET" && /\/products\.json/.test(request.path)
+    );
+    assert.strictEqual(data.resources.length, 120);
+    assert.strictEqual(ids.size, 120, "each product is listed once");
+    assert.strictEqual(page_requests.length, 3, "120 products are listed in three pages of 50");
+    assert.ok(page_requests.slice(1).every(request => request.path.includes("page_info=")));
+};
+
+const test_retry = async function (mock, env_vars) {
+    const product = mock.store.collections.get("products")[0];
+    ShopifyAPI.init(env_vars);
+    mock.inject({ status: 503, times: 1, method: "GET", path: `/products/${product.id}.json` });
+    const data = await to_promise(ShopifyAPI.get_resource("product", product.id));
+    const attempts = mock.requests.filter(request => request.path.includes(`/products/${product.id}.json`));
+    assert.strictEqual(data.resource.id, product.id);
+    assert.deepStrictEqual(attempts.map(request => request.status), [503, 200]);
+};
+
+const test_post_retry = async function (mock, env_vars) {
+    ShopifyAPI.init(env_vars);
+    mock.inject({ status: 503, times: 1, method: "POST", path: "/products.json" });
+    await assert.rejects(
+        to_promise(ShopifyAPI.create_resource("product", { title: "Duplicate?" })),
+        /503/
+    );
+    const attempts = mock.requests.filter(
+        request => request.method === "POST" && request.path.includes("/products.json")
+    );
+    assert.strictEqual(attempts.length, 1, "a POST is not sent again after a 5xx response");
+};
+
+const test_deploy = async function (mock, env_vars) {
+    const theme_assets = mock.store.assets.get(String(env_vars.theme_id));
+
+//  templates/index.liquid matches the mock theme's copy, so is never uploaded.
+
+    write_theme_file(env_vars.base_path, "layout/theme.liquid", "<html><body>{{ content_for_layout }}</body></html>\n");
+    write_theme_file(env_vars.base_path, "templates/index.liquid", theme_assets.get("templates/index.liquid").content);
+    write_theme_file(env_vars.base_path, "assets/main.css", "body { color: red; }\n");
+
+    const first = await deploy(env_vars);
+    assert.deepStrictEqual(first.uploaded.slice().sort(), ["assets/main.css", "layout/theme.liquid"]);
+    assert.deepStrictEqual(first.skipped, ["templates/index.liquid"]);
+    assert.strictEqual(theme_assets.get("assets/main.css").content.toString(), "body { color: red; }\n");
+
+    const uploads_before = mock.requests.filter(request => request.method === "PUT").length;
+    const second = await deploy(env_vars);
+    assert.deepStrictEqual(second.uploaded, []);
+    assert.strictEqual(second.skipped.length, 3, "every unchanged file is skipped");
+    assert.strictEqual(
+        mock.requests.filter(request => request.method === "PUT").length,
+        uploads_before,
+        "nothing is uploaded when nothing has changed"
+    );
+};
+
+const test_prune = async function (mock, env_vars) {
+    const theme_assets = mock.store.assets.get(String(env_vars.theme_id));
+    const add_remote_asset = function (key) {
+        theme_assets.set(key, Object.assign({}, theme_assets.get("templates/index.liquid"), { key: key }));
+    };
+
+//  snippets/icons/icon-cart.liquid is uploaded as snippets/icon-cart.liquid, so the
+//  ignore rule for its directory protects that key.
+
+    add_remote_asset("snippets/icon-cart.liquid");
+    add_remote_asset("snippets/old.liquid");
+    write_theme_file(env_vars.base_path, "snippets/icons/icon-cart.liquid", "<svg></svg>\n");
+    fs.writeFileSync(Path.join(env_vars.base_path, ".shopifyignore"), "theme/snippets/icons/\n");
+
+    const data = await deploy(env_vars, { prune: true, force: true });
+    assert.deepStrictEqual(data.uploaded, []);
+    assert.deepStrictEqual(data.deleted, ["snippets/old.liquid"]);
+    assert.ok(theme_assets.has("snippets/icon-cart.liquid"));
+    assert.ok(!theme_assets.has("snippets/old.liquid"));
+};
+
+const test_import = async function (mock, env_vars) {
+    const product = mock.store.collections.get("products")[1];
+    const [first, second] = product.variants;
+    const file_path = Path.join(env_vars.base_path, "products.csv");
+    fs.writeFileSync(file_path, [
+        "id,title,variant.id,variant.sku",
+        `${product.id},Renamed,${first.id},NEW-SKU`,
+        ""
+    ].join("\r\n"));
+
+    const counts = await import_csv(env_vars, "product", file_path);
+    const updated = mock.store.collections.get("products")[1];
+    assert.deepStrictEqual(counts, { created: 0, updated: 1, failed: 0, invalid: 0, valid: 0 });
+    assert.strictEqual(updated.title, "Renamed");
+    assert.deepStrictEqual(
+        updated.variants.map(variant => [variant.id, variant.sku, variant.price]),
+        [[first.id, "NEW-SKU", first.price], [second.id, second.sku, second.price]],
+        "variants left out of the file are kept"
+    );
+    await assert.rejects(
+        import_csv(env_vars, "product", Path.join(env_vars.base_path, "missing.csv")),
+        /ENOENT/
+    );
+};
+
+
+const run = async function () {
+    const mock = create_mock_server({ products: 120, customers: 0, auth: auth });
+    const base_path = fs.mkdtempSync(Path.join(os.tmpdir(), "shopify_dev_utils-"));
+    try {
+        await new Promise(resolve => mock.listen(0, resolve));
+        const env_vars = {
+            store_url: "mock.myshopify.com",
+            auth: auth,
+            theme_id: mock.store.collections.get("themes")[0].id,
+            base_path: base_path,
+            local_data_path: Path.join(base_path, "local-data"),
+            api_url: mock.url(),
+            max_attempts: 3
+        };
+        const tests = [
+            ["lists a paginated resource", test_pagination],
+            ["retries a 503 response", test_retry],
+            ["does not retry a POST after a 503 response", test_post_retry],
+            ["deploys only the changed files", test_deploy],
+            ["prunes stale keys, except those of ignored files", test_prune],
+            ["imports a product's variants by id", test_import]
+        ];
+        for (const [name, test] of tests) {
+            await test(mock, env_vars);
+            console.log("ok - " + name);
+        }
+    } finally {
+        await new Promise(resolve => mock.close(resolve));
+        fs.rmSync(base_path, { recursive: true, force: true });
+    }
+};
+
+run().then(function () {
+    process.exit(0);
+}, function (exception) {
+    console.log("not ok - " + (exception && exception.stack || exception));
+    process.exit(1);
+});
@@ -0,0 +1,139 @@
+/* globals require, process */
+"use strict";
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const Path = require("path");
+const Webhooks = require("../webhooks");
+const { to_promise } = require("../utils");
+
+//  Sends webhooks to a local server which passes them to handle_request(), see
+//  webhooks.js.  Run it with `npm test`.
+
+const secret = "test-secret";
+
+function sign(body, key = secret) {
+    return crypto.createHmac("sha256", key).update(body).digest("base64");
+}
+
+function send(port, options, body) {
+
+//  @return {Promise}  -  Resolves with { status, body }.
+
+    return new Promise(function (resolve, reject) {
+        const request = http.request(Object.assign({
+            host: "127.0.0.1",
+            port: port,
+            method: "POST",
+            path: "/webhooks"
+        }, options), function (response) {
+            const chunks = [];
+            response.on("data", chunk => chunks.push(chunk));
+            response.on("end", function () {
+                resolve({ status: response.statusCode, body: Buffer.concat(chunks).toString() });
+            });
+        });
+        request.on("error", reject);
+        request.end(body);
+    });
+}
+
+function webhook_headers(body, hmac) {
+    return {
+        "Content-Type": "application/json",
+        "X-Shopify-Topic": "orders/create",
+        "X-Shopify-Shop-Domain": "mock.myshopify.com",
+        "X-Shopify-Webhook-Id": "b54557e4",
+        "X-Shopify-Hmac-Sha256": hmac === undefined ? sign(body) : hmac
+    };
+}
+
+
+const test_valid = async function (port, handled, webhooks_path) {
+    const body = JSON.stringify({ id: 1, name: "#1001" });
+    const next_call = new Promise(resolve => handled.waiting.push(resolve));
+    const response = await send(port, { headers: webhook_headers(body) }, body);
+    const [payload, meta] = await next_call;
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(payload, { id: 1, name: "#1001" });
+    assert.strictEqual(meta.topic, "orders/create");
+    assert.strictEqual(meta.webhook_id, "b54557e4");
+    assert.strictEqual(meta.replayed, false);
+    assert.strictEqual(fs.readdirSync(webhooks_path).length, 1, "the webhook is stored in local_data_path");
+};
+
+const test_invalid = async function (port, handled, webhooks_path) {
+    const body = JSON.stringify({ id: 2 });
+    const responses = [
+        await send(port, { headers: webhook_headers(body, sign(body, "another-secret")) }, body),
+        await send(port, { headers: webhook_headers(body, sign(body).slice(0, -2)) }, body),
+        await send(port, { headers: webhook_headers(body, "") }, body),
+        await send(port, { headers: webhook_headers(JSON.stringify({ id: 3 }), sign(body)) }, JSON.stringify({ id: 3 }))
+    ];
+    assert.deepStrictEqual(responses.map(response => response.status), [401, 401, 401, 401]);
+    assert.strictEqual(handled.calls.length, 1, "no handler is called");
+    assert.strictEqual(fs.readdirSync(webhooks_path).length, 1, "nothing more is stored");
+};
+
+const test_method = async function (port) {
+    const response = await send(port, { method: "GET" });
+    assert.strictEqual(response.status, 405);
+};
+
+const test_replay = async function (port, handled) {
+    const data = await to_promise(Webhooks.replay({ topic: "orders/create" }));
+    const [payload, meta] = handled.calls[handled.calls.length - 1];
+    assert.strictEqual(handled.calls.length, 2);
+    assert.strictEqual(data.replayed.length, 1);
+    assert.deepStrictEqual(data.failed, []);
+    assert.deepStrictEqual(payload, { id: 1, name: "#1001" });
+    assert.strictEqual(meta.replayed, true);
+
+    const none = await to_promise(Webhooks.replay({ topic: "orders/paid" }));
+    assert.deepStrictEqual(none.replayed, []);
+};
+
+
+const run = async function () {
+    const local_data_path = fs.mkdtempSync(Path.join(os.tmpdir(), "shopify_dev_utils-"));
+    const webhooks_path = Path.join(local_data_path, "webhooks");
+
+//  The handler is called after Shopify is sent its response, so each call resolves
+//  the oldest Promise waiting for one.
+
+    const handled = { calls: [], waiting: [] };
+    Webhooks.init({ webhook_secret: secret, local_data_path: local_data_path });
+    Webhooks.on("orders/create", function (payload, meta) {
+        handled.calls.push([payload, meta]);
+        if (handled.waiting.length > 0) {
+            handled.waiting.shift()([payload, meta]);
+        }
+    });
+    const server = http.createServer(Webhooks.handle_request);
+    try {
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        const port = server.address().port;
+        const tests = [
+            ["passes a webhook with a valid HMAC to its handlers", test_valid],
+            ["rejects a webhook with an invalid HMAC", test_invalid],
+            ["only accepts POST requests", test_method],
+            ["replays the stored webhooks", test_replay]
+        ];
+        for (const [name, test] of tests) {
+            await test(port, handled, webhooks_path);
+            console.log("ok - " + name);
+        }
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(local_data_path, { recursive: true, force: true });
+    }
+};
+
+run().then(function () {
+    process.exit(0);
+}, function (exception) {
+    console.log("not ok - " + (exception && exception.stack || exception));
+    process.exit(1);
+});
@@ -0,0 +1,111 @@
+/* globals exports, require */
+"use strict";
+const Path = require("path");
+
+//  Theme Keys Public Methods:
+//
+//      1.  get_key()
+//      2.  map_keys_to_paths()
+//      3.  find_collisions()
+//      4.  collision_message()
+//
+//  Theme Keys Public Properties:
+//
+//      1.  non_string_formats
+//
+
+//  Any binary encoded files must be processed and uploaded differently than text
+//  files. This list is by no means exhaustive, but serves to list all of the binary
+//  file types which may be present in the theme/assets directory.
+//  Feel free to add additional types as necessary.
+const non_string_formats = [
+    ".woff",
+    ".woff2",
+    ".png",
+    ".jpg",
+    ".eot",
+    ".ttf",
+    ".ttc",
+    ".gif",
+    ".otf"
+];
+
+const get_key = function (theme_path, file_path) {
+
+//  Determine the key (the file's path relative to the theme, as Shopify sees it)
+//  for a local theme file.  Files within a sub-directory of snippets, sections,
+//  or templates have the sub-directory component removed, with the exception
+//  of templates/customers.
+//  @param1 {string} theme_path  -  The path to the local theme directory.
+//  @param2 {string} file_path  -  The path to a file within theme_path.
+//  @return {string|undefined}  -  e.g. "snippets/card.liquid", or undefined if
+//   the file does not live within one of the theme directories.
+
+    const parts = Path.relative(theme_path, file_path).split(Path.sep);
+    if (parts.length < 2 || parts[0] === "..") {
+        return undefined;
+    }
+    if (parts[0] === "templates" && parts[1] === "customers" && parts.length === 3) {
+        return parts.join("/");
+    }
+    return parts[0] + "/" + parts[parts.length - 1];
+};
+
+const map_keys_to_paths = function (theme_path, file_paths) {
+
+//  @return {Map}  -  A map from each key to the local path of the file which is
+//   uploaded under that key.
+
+    const key_map = new Map();
+    file_paths.forEach(function (file_path) {
+        const key = get_key(theme_path, file_path);
+        if (key !== undefined) {
+            key_map.set(key, file_path);
+        }
+    });
+    return key_map;
+};
+
+const find_collisions = function (theme_path, file_paths) {
+
+//  Two local files collide when they are in different sub-directories but share
+//  a name, e.g. snippets/product/card.liquid and snippets/collection/card.liquid,
+//  since both would be uploaded as snippets/card.liquid.
+//  @return {Map}  -  A map from each colliding key to an array of the local paths
+//   which share it.  Keys used by a single file are not included.
+
+    const key_paths = new Map();
+    file_paths.forEach(function (file_path) {
+        const key = get_key(theme_path, file_path);
+        if (key === undefined) {
+            return;
+        }
+        if (!key_paths.has(key)) {
+            key_paths.set(key, []);
+        }
+        key_paths.get(key).push(file_path);
+    });
+    key_paths.forEach(function (paths, key) {
+        if (paths.length < 2) {
+            key_paths.delete(key);
+        }
+    });
+    return key_paths;
+};
+
+const collision_message = function (theme_path, key, file_paths) {
+    const names = file_paths.map(
+        file_path => Path.relative(theme_path, file_path).split(Path.sep).join("/")
+    );
+    return (
+        `${names.join(" and ")} would both be uploaded as ${key}, `
+        + "it will not be uploaded until all but one of them are renamed or removed."
+    );
+};
+
+
+exports.collision_message = collision_message;
+exports.find_collisions = find_collisions;
+exports.get_key = get_key;
+exports.map_keys_to_paths = map_keys_to_paths;
+exports.non_string_formats = non_string_formats;
@@ -8,6 +8,7 @@ const { exec } = require("child_process");
 //      1.  open()
 //      2.  run_sync()
 //      3.  run_async()
+//      4.  to_promise()
 //
 
 const open_browser = function (url) {
@@ -100,6 +101,31 @@ const run_async = function (requestors, cb, initial_value, time_limit=false) {
     }
 };
 
+const to_promise = function (requestor, initial_value = Object.create(null)) {
+
+//  Run a requestor, returning a Promise which resolves with the value it passes
+//  to its callback, or rejects with an Error if it fails.  e.g.
+//      const data = await to_promise(ShopifyAPI.download_themes());
+
+    return new Promise(function (resolve, reject) {
+        try {
+            requestor(function (value, reason) {
+                if (value === null) {
+                    return reject(
+                        reason instanceof Error
+                        ? reason
+                        : new Error(reason || "Requestor failed")
+                    );
+                }
+                return resolve(value);
+            }, initial_value);
+        } catch (exception) {
+            return reject(exception);
+        }
+    });
+};
+
 exports.open = open_browser;
 exports.run_sync = run_sync;
 exports.run_async = run_async;
+exports.to_promise = to_promise;
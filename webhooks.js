@@ -0,0 +1,277 @@
+/* globals exports, require, process, __dirname */
+"use strict";
+const crypto = require("crypto");
+const fs = require("fs");
+const Path = require("path");
+const { log } = require("./log");
+
+//  Webhooks Public Methods:
+//
+//      1.  init()
+//      2.  on()
+//      3.  is_webhook_request()
+//      4.  handle_request()
+//      5.  replay()
+//
+//  Webhooks are received by the local server at webhook_path (by default /webhooks),
+//  which must be reachable by Shopify, e.g. through a tunnel.  Each request's
+//  X-Shopify-Hmac-Sha256 header is verified against webhook_secret, the payload is
+//  stored in local-data/webhooks/, and then passed to each handler registered for
+//  its topic.
+
+let webhooks_path = Path.join(__dirname, "local-data", "webhooks");
+
+//  Requests with larger bodies are rejected, Shopify's payloads are far smaller.
+const max_body_size = 10 * 1024 * 1024;
+
+let secret;
+let webhook_path = "/webhooks";
+
+//  A map from each topic, e.g. "orders/create", to an array of its handlers.  The
+//  handlers registered for "*" receive every topic.
+const handlers = new Map();
+
+
+const init = function (env_vars) {
+    secret = env_vars.webhook_secret;
+    if (env_vars.webhook_path) {
+        webhook_path = env_vars.webhook_path;
+    }
+    if (env_vars.local_data_path) {
+        webhooks_path = Path.join(env_vars.local_data_path, "webhooks");
+    }
+};
+
+const on = function (topic, handler) {
+
+//  @param1 {string} topic  -  e.g. "orders/create", or "*" for every topic.
+//  @param2 {function} handler  -  Called with the parsed payload and an object
+//   describing the webhook, { topic, shop_domain, webhook_id, api_version,
+//   received_at, replayed }.  May return a Promise.
+
+    if (!handlers.has(topic)) {
+        handlers.set(topic, []);
+    }
+    handlers.get(topic).push(handler);
+};
+
+const is_webhook_request = function (request) {
+    const path = request.url.split("?")[0];
+    return path === webhook_path || path.startsWith(webhook_path + "/");
+};
+
+
+function verify_hmac(body, hmac_header) {
+    if (!secret || !hmac_header) {
+        return false;
+    }
+    const digest = Buffer.from(
+        crypto.createHmac("sha256", secret).update(body).digest("base64")
+    );
+    const received = Buffer.from(hmac_header);
+    return digest.length === received.length && crypto.timingSafeEqual(digest, received);
+}
+
+
+function file_name(webhook) {
+
+//  e.g. "2023-10-20T14-03-11-123Z-orders_create-b54557e4.json", so that sorting the
+//  names sorts the webhooks by the time they were received.
+
+    return [
+        webhook.received_at.replace(/[:.]/g, "-"),
+        webhook.topic.replace(/\//g, "_"),
+        webhook.webhook_id || crypto.randomBytes(4).toString("hex")
+    ].join("-").replace(/[^\w.-]/g, "_") + ".json";
+}
+
+
+function store(webhook, cb) {
+    fs.mkdir(webhooks_path, { recursive: true }, function (err) {
+        if (err) {
+            return cb(err);
+        }
+        const file_path = Path.join(webhooks_path, file_name(webhook));
+        fs.writeFile(file_path, JSON.stringify(webhook, null, 2), function (err) {
+            return cb(err, file_path);
+        });
+    });
+}
+
+
+function dispatch(webhook) {
+
+//  Call each of the topic's handlers in turn, waiting for any Promise they return.
+//  @return {Promise}  -  Resolves with the number of handlers which failed.
+
+    const topic_handlers = (handlers.get(webhook.topic) || []).concat(handlers.get("*") || []);
+    if (topic_handlers.length === 0) {
+        log("Webhook", `no handler registered for ${webhook.topic}`);
+    }
+    let payload;
+    try {
+        payload = JSON.parse(webhook.body);
+    } catch (ignore) {
+        payload = webhook.body;
+    }
+    const meta = {
+        topic: webhook.topic,
+        shop_domain: webhook.shop_domain,
+        webhook_id: webhook.webhook_id,
+        api_version: webhook.api_version,
+        received_at: webhook.received_at,
+        replayed: Boolean(webhook.replayed)
+    };
+    return topic_handlers.reduce(function (previous, handler) {
+        return previous.then(function (failures) {
+            return Promise.resolve().then(
+                () => handler(payload, meta)
+            ).then(
+                () => failures,
+                function (exception) {
+                    log("Error", `webhook handler for ${webhook.topic} ${exception && exception.stack || exception}`);
+                    return failures + 1;
+                }
+            );
+        });
+    }, Promise.resolve(0));
+}
+
+
+const handle_request = function (request, response) {
+
+//  Verify and store a webhook, respond to Shopify, and then dispatch it.
+
+    const chunks = [];
+    let size = 0;
+    let is_too_large = false;
+
+    const respond = function (status, message) {
+        response.writeHead(status, { "Content-Type": "text/plain" });
+        response.end(message);
+    };
+
+    if (request.method !== "POST") {
+        return respond(405, "Method Not Allowed");
+    }
+    request.on("data", function (chunk) {
+        size += chunk.length;
+        if (size > max_body_size) {
+            is_too_large = true;
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on("end", function () {
+        if (is_too_large) {
+            return respond(413, "Payload Too Large");
+        }
+        const body = Buffer.concat(chunks);
+        const topic = request.headers["x-shopify-topic"];
+        if (!secret) {
+            log("Error", "Received a webhook, but no webhook_secret is set, so it cannot be verified");
+            return respond(401, "Unauthorized");
+        }
+        if (!verify_hmac(body, request.headers["x-shopify-hmac-sha256"])) {
+            log("Error", `Rejected a ${topic || "webhook"} request with an invalid HMAC`);
+            return respond(401, "Unauthorized");
+        }
+        const webhook = {
+            topic: topic || "unknown",
+            shop_domain: request.headers["x-shopify-shop-domain"],
+            webhook_id: request.headers["x-shopify-webhook-id"],
+            api_version: request.headers["x-shopify-api-version"],
+            received_at: new Date().toISOString(),
+            body: body.toString("utf8")
+        };
+        store(webhook, function (err, file_path) {
+            if (err) {
+                log("Error", err);
+                return respond(500, "Internal Server Error");
+            }
+            respond(200, "OK");
+            log("Webhook", `${webhook.topic} stored in ${Path.basename(file_path)}`);
+            return dispatch(webhook);
+        });
+    });
+    request.on("error", function (err) {
+        log("Error", err);
+    });
+};
+
+
+const replay = function (options = {}) {
+
+//  Returns a requestor which re-sends stored webhooks to the registered handlers,
+//  one at a time, in the order they were received.  Sets data.replayed to the
+//  names of the replayed files, and data.failed to those whose handlers failed.
+//  @param1 {object} options  -  (optional)
+//   topic {string}  -  Only replay webhooks of this topic.
+//   webhook_id {string}  -  Only replay the webhook with this id.
+//   since {string|Date}  -  Only replay webhooks received at or after this time.
+//   files {array}  -  Only replay these files, by name or path.
+
+    return function replay_requestor(cb, data) {
+        try {
+            fs.readdir(webhooks_path, function (err, names) {
+                if (err && err.code !== "ENOENT") {
+                    return cb(null, "replay " + err);
+                }
+                const since = options.since && new Date(options.since).toISOString();
+                const files = options.files && options.files.map(file => Path.basename(file));
+                const selected = [];
+                (names || []).filter(name => name.endsWith(".json")).sort().forEach(function (name) {
+                    if (files && !files.includes(name)) {
+                        return;
+                    }
+                    let webhook;
+                    try {
+                        webhook = JSON.parse(fs.readFileSync(Path.join(webhooks_path, name), "utf8"));
+                    } catch (exception) {
+                        return log("Error", `Could not read ${name} ${exception}`);
+                    }
+                    if (
+                        (options.topic && webhook.topic !== options.topic)
+                        || (options.webhook_id && webhook.webhook_id !== options.webhook_id)
+                        || (since && webhook.received_at < since)
+                    ) {
+                        return;
+                    }
+                    selected.push({ name: name, webhook: webhook });
+                });
+                data.replayed = [];
+                data.failed = [];
+                (function next(index) {
+                    if (index === selected.length) {
+                        return cb(data);
+                    }
+                    const { name, webhook } = selected[index];
+                    log("Replaying", `${webhook.topic} from ${name}`);
+                    webhook.replayed = true;
+
+//  next() and cb are called outside of the promise chain, so that an exception thrown
+//  by cb is not caught as if dispatch had failed.
+
+                    dispatch(webhook).then(function (failures) {
+                        data.replayed.push(name);
+                        if (failures > 0) {
+                            data.failed.push(name);
+                        }
+                        process.nextTick(next, index + 1);
+                    }, function (reason) {
+                        process.nextTick(cb, null, "replay " + reason);
+                    });
+                })(0);
+            });
+        } catch (exception) {
+            return cb(null, "replay " + exception);
+        }
+    };
+};
+
+
+exports.handle_request = handle_request;
+exports.init = init;
+exports.is_webhook_request = is_webhook_request;
+exports.on = on;
+exports.replay = replay;